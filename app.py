@@ -1,14 +1,305 @@
 from __future__ import annotations
 
+import html
+import json
+import math
 import os
+import re
+from concurrent.futures import ThreadPoolExecutor
+from urllib.parse import urljoin
 
-from flask import Flask, jsonify, render_template, request, send_from_directory
+from flask import Flask, Response, jsonify, render_template, request, send_from_directory
 import requests
 import feedparser
 
 
 app = Flask(__name__, static_folder="static", template_folder="templates")
 
+BROWSER_HEADERS = {
+    "User-Agent": (
+        "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) "
+        "AppleWebKit/537.36 (KHTML, like Gecko) "
+        "Chrome/122.0.0.0 Safari/537.36"
+    ),
+}
+
+# ``<link rel="alternate">`` types that point at a feed
+FEED_LINK_TYPES = {
+    "application/rss+xml",
+    "application/atom+xml",
+    "application/rdf+xml",
+    "application/feed+json",
+}
+
+# Plain ``application/json`` alternates are only JSON Feeds when they say so;
+# WordPress advertises its wp-json REST endpoints with the same type
+JSON_FEED_HINT_RE = re.compile(r"feed", re.I)
+
+# Larger images are refused by the image proxy
+IMAGE_PROXY_MAX_BYTES = 10 * 1024 * 1024
+
+# Used to classify enclosures that arrive without a MIME type
+AUDIO_EXTENSIONS = {"mp3", "m4a", "aac", "ogg", "oga", "opus", "wav", "flac"}
+VIDEO_EXTENSIONS = {"mp4", "m4v", "mov", "webm", "ogv"}
+
+# Aggregator feeds (hnrss.org and similar) put the discussion link and
+# counts in the description rather than in dedicated elements
+COMMENTS_URL_RE = re.compile(r'<p>Comments URL:\s*<a href="([^"]+)"', re.I)
+COMMENT_COUNT_RE = re.compile(r"<p>#\s*Comments:\s*(\d+)\s*</p>", re.I)
+SCORE_RE = re.compile(r"<p>Points:\s*(\d+)\s*</p>", re.I)
+HN_ITEM_RE = re.compile(r"^https?://news\.ycombinator\.com/item\?id=(\d+)")
+
+# Tried in order when a page doesn't advertise its feeds
+COMMON_FEED_PATHS = (
+    "/feed",
+    "/rss",
+    "/feed.xml",
+    "/rss.xml",
+    "/atom.xml",
+    "/index.xml",
+    "/feed.json",
+)
+
+
+def _parse_duration(value) -> int:
+    """Seconds from an itunes:duration or media duration ("1:02:03", "3723")."""
+    if not value:
+        return 0
+    try:
+        parts = [float(p) for p in str(value).strip().split(":")]
+    except ValueError:
+        return 0
+    seconds = 0.0
+    for part in parts:
+        seconds = seconds * 60 + part
+    # float() also accepts "nan", "inf" and "1e400"
+    if not math.isfinite(seconds):
+        return 0
+    return max(0, int(seconds))
+
+
+def _media_kind(mime: str, url: str, medium: str = "") -> str | None:
+    mime = (mime or "").lower()
+    if mime.startswith(("audio/", "video/")):
+        return mime.split("/", 1)[0]
+    if medium in ("audio", "video"):
+        return medium
+    ext = url.split("?", 1)[0].rsplit(".", 1)[-1].lower()
+    if ext in AUDIO_EXTENSIONS:
+        return "audio"
+    if ext in VIDEO_EXTENSIONS:
+        return "video"
+    return None
+
+
+def _to_int(value) -> int:
+    try:
+        return int(value or 0)
+    except (TypeError, ValueError, OverflowError):
+        return 0
+
+
+def _entry_enclosures(entry) -> list[dict]:
+    """Audio and video attachments from ``<enclosure>`` and ``<media:content>``."""
+    episode_duration = _parse_duration(entry.get("itunes_duration"))
+    enclosures: list[dict] = []
+    seen: set[str] = set()
+
+    candidates = [
+        (enc.get("href") or enc.get("url") or "", enc.get("type", ""), "", enc.get("length"), None)
+        for enc in entry.get("enclosures") or []
+    ] + [
+        (m.get("url", ""), m.get("type", ""), m.get("medium", ""), m.get("filesize"), m.get("duration"))
+        for m in entry.get("media_content") or []
+    ]
+    for url, mime, medium, length, duration in candidates:
+        kind = _media_kind(mime, url, medium) if url else None
+        if not kind or url in seen:
+            continue
+        seen.add(url)
+        enclosures.append({
+            "url": url,
+            "type": mime or "",
+            "kind": kind,
+            "length": _to_int(length),
+            "duration": _parse_duration(duration) or episode_duration,
+        })
+    return enclosures
+
+
+def _count_or_none(value) -> int | None:
+    try:
+        return int(value)
+    except (TypeError, ValueError):
+        return None
+
+
+def _entry_discussion(entry, description: str) -> dict:
+    """Comments URL, comment count and score, when the feed provides them."""
+    # hnrss appends "Comments URL", "Points" and "# Comments" lines to each
+    # description; only trust the counts when that block is there, so prose
+    # like "Key points: 3" elsewhere doesn't turn into a score
+    hnrss = COMMENTS_URL_RE.search(description)
+    comments_url = getattr(entry, "comments", "") or ""
+    if not comments_url and hnrss:
+        comments_url = html.unescape(hnrss.group(1))
+
+    comment_count = _count_or_none(getattr(entry, "slash_comments", None))
+    score = None
+    if hnrss:
+        match = COMMENT_COUNT_RE.search(description)
+        if comment_count is None and match:
+            comment_count = int(match.group(1))
+        match = SCORE_RE.search(description)
+        score = int(match.group(1)) if match else None
+
+    return {
+        "comments_url": comments_url,
+        "comment_count": comment_count,
+        "score": score,
+    }
+
+
+def _entry_to_item(entry) -> dict:
+    """Flatten a feedparser entry into the item shape the client uses."""
+    title = getattr(entry, "title", "(no title)")
+    link = getattr(entry, "link", "")
+
+    # Published date – try multiple feedparser fields
+    published = ""
+    for attr in ("published", "updated", "created"):
+        val = getattr(entry, attr, None)
+        if val:
+            published = val
+            break
+
+    # Description / summary – prefer content, fall back to summary
+    description = ""
+    if hasattr(entry, "content") and entry.content:
+        description = entry.content[0].get("value", "")
+    elif hasattr(entry, "summary"):
+        description = entry.summary or ""
+    elif hasattr(entry, "description"):
+        description = entry.description or ""
+    # hnrss puts its points and comments block at the very end, so read it
+    # before the description is cut down
+    discussion = _entry_discussion(entry, description)
+
+    # Media thumbnail (for images if available)
+    thumbnail = ""
+    if hasattr(entry, "media_thumbnail") and entry.media_thumbnail:
+        thumbnail = entry.media_thumbnail[0].get("url", "")
+    elif hasattr(entry, "media_content") and entry.media_content:
+        thumbnail = entry.media_content[0].get("url", "")
+    elif hasattr(entry, "image") and isinstance(entry.image, dict):
+        thumbnail = entry.image.get("href", "")  # itunes:image on podcast episodes
+
+    # A media:content entry may be the episode itself rather than a picture
+    enclosures = _entry_enclosures(entry)
+    if any(e["url"] == thumbnail for e in enclosures):
+        thumbnail = ""
+
+    # Author
+    author = getattr(entry, "author", "")
+
+    return {
+        "title": title,
+        "link": link,
+        "published": published,
+        "description": description[:2000],
+        "thumbnail": thumbnail,
+        "author": author,
+        "enclosures": enclosures,
+        **discussion,
+    }
+
+
+def _parse_json_feed(content) -> tuple[str, list[dict]] | None:
+    """Parse a JSON Feed (https://jsonfeed.org) document.
+
+    Returns ``(title, items)`` or ``None`` when *content* isn't one.
+    """
+    try:
+        data = json.loads(content)
+    except (ValueError, UnicodeDecodeError):
+        return None
+    if not isinstance(data, dict) or not str(data.get("version", "")).startswith(
+        "https://jsonfeed.org/"
+    ):
+        return None
+
+    items: list[dict] = []
+    for entry in data.get("items") or []:
+        if not isinstance(entry, dict):
+            continue
+        description = entry.get("content_html") or entry.get("summary") or ""
+        if not description and entry.get("content_text"):
+            description = html.escape(entry["content_text"])
+        authors = entry.get("authors") or [entry.get("author")]
+        author = authors[0].get("name", "") if isinstance(authors[0], dict) else ""
+        enclosures = []
+        for att in entry.get("attachments") or []:
+            if not isinstance(att, dict) or not att.get("url"):
+                continue
+            kind = _media_kind(att.get("mime_type", ""), att["url"])
+            if kind:
+                enclosures.append({
+                    "url": att["url"],
+                    "type": att.get("mime_type", ""),
+                    "kind": kind,
+                    "length": _to_int(att.get("size_in_bytes")),
+                    "duration": _to_int(att.get("duration_in_seconds")),
+                })
+        items.append({
+            "title": entry.get("title") or "(no title)",
+            "link": entry.get("url") or entry.get("external_url") or "",
+            "published": entry.get("date_published") or entry.get("date_modified") or "",
+            "description": description[:2000],
+            "thumbnail": entry.get("image") or entry.get("banner_image") or "",
+            "author": author,
+            "enclosures": enclosures,
+        })
+    return data.get("title") or "", items
+
+
+def _fetch_json_feed(url: str) -> tuple[str, list[dict]] | None:
+    try:
+        resp = requests.get(url, headers=BROWSER_HEADERS, timeout=12)
+    except requests.RequestException:
+        return None
+    if resp.status_code >= 400:
+        return None
+    return _parse_json_feed(resp.content)
+
+
+def _is_feed(content: bytes) -> bool:
+    if _parse_json_feed(content) is not None:
+        return True
+    # feedparser leaves ``version`` empty for anything it didn't recognise
+    return bool(feedparser.parse(content).version)
+
+
+def _is_feed_link(link_type: str, href: str, title: str) -> bool:
+    """Whether a ``<link rel="alternate">`` of this type points at a feed."""
+    if link_type in FEED_LINK_TYPES:
+        return True
+    return (
+        link_type == "application/json"
+        and "wp-json" not in href
+        and bool(JSON_FEED_HINT_RE.search(f"{href} {title}"))
+    )
+
+
+def _probe_feed(url: str) -> str | None:
+    """Return *url* when it serves a feed, else ``None``."""
+    try:
+        resp = requests.get(url, headers=BROWSER_HEADERS, timeout=8)
+    except requests.RequestException:
+        return None
+    if resp.status_code >= 400 or not _is_feed(resp.content):
+        return None
+    return url
+
 
 @app.route("/")
 def index():
@@ -22,68 +313,233 @@ def news_feed():
     Accepts query params:
       ?url=<rss-feed-url>  (defaults to Hacker News)
       ?limit=<number>      (defaults to 20, max 50)
+      ?etag=<etag>         (validator from a previous response)
+      ?modified=<date>     (Last-Modified from a previous response)
+
+    When the feed hasn't changed since the given validators the response
+    is ``{"items": [], "not_modified": true}``.  A feed that parses with
+    problems but still yields items carries them in ``warning``.
     """
     feed_url = request.args.get("url") or os.environ.get(
         "NEWS_RSS_URL", "https://hnrss.org/frontpage"
     )
     limit = min(int(request.args.get("limit", 20)), 50)
+    etag = request.args.get("etag") or None
+    modified = request.args.get("modified") or None
 
+    # Errors carry an ``error_type`` so the client can tell a dead host
+    # ("network") from a server refusing the request ("http") or a
+    # document that isn't a feed ("parse").
     try:
         parsed = feedparser.parse(
             feed_url,
             agent="VaultFeed/1.0",
+            etag=etag,
+            modified=modified,
         )
     except Exception as e:  # noqa: BLE001
-        return jsonify({"error": str(e)}), 502
+        return jsonify({"error": str(e), "error_type": "network"}), 502
+
+    status = getattr(parsed, "status", None)
+    if status == 304:
+        return jsonify({
+            "items": [],
+            "not_modified": True,
+            "etag": etag or "",
+            "modified": modified or "",
+        })
+
+    if status and status >= 400:
+        return jsonify({
+            "error": f"Feed error: HTTP {status}",
+            "error_type": "http",
+            "status": status,
+        }), 502
 
     if parsed.bozo and not parsed.entries:
-        err = str(getattr(parsed, "bozo_exception", "Unknown parse error"))
-        return jsonify({"error": f"Feed error: {err}"}), 502
+        exc = getattr(parsed, "bozo_exception", None)
+        err = str(exc or "Unknown parse error")
+        error_type = "network" if isinstance(exc, OSError) else "parse"
+
+        # feedparser doesn't read JSON Feed, so try that before giving up
+        json_feed = _fetch_json_feed(feed_url) if error_type == "parse" else None
+        if json_feed is not None:
+            feed_title, items = json_feed
+            return jsonify({
+                "items": items[:limit],
+                "feed_title": feed_title,
+                "etag": "",
+                "modified": "",
+            })
+
+        return jsonify({
+            "error": f"Feed error: {err}",
+            "error_type": error_type,
+            "status": status,
+        }), 502
 
     feed_title = getattr(parsed.feed, "title", "") or ""
 
-    items: list[dict] = []
-    for entry in parsed.entries[:limit]:
-        title = getattr(entry, "title", "(no title)")
-        link = getattr(entry, "link", "")
-
-        # Published date – try multiple feedparser fields
-        published = ""
-        for attr in ("published", "updated", "created"):
-            val = getattr(entry, attr, None)
-            if val:
-                published = val
-                break
-
-        # Description / summary – prefer content, fall back to summary
-        description = ""
-        if hasattr(entry, "content") and entry.content:
-            description = entry.content[0].get("value", "")[:2000]
-        elif hasattr(entry, "summary"):
-            description = (entry.summary or "")[:2000]
-        elif hasattr(entry, "description"):
-            description = (entry.description or "")[:2000]
-
-        # Media thumbnail (for images if available)
-        thumbnail = ""
-        if hasattr(entry, "media_thumbnail") and entry.media_thumbnail:
-            thumbnail = entry.media_thumbnail[0].get("url", "")
-        elif hasattr(entry, "media_content") and entry.media_content:
-            thumbnail = entry.media_content[0].get("url", "")
+    items = [_entry_to_item(entry) for entry in parsed.entries[:limit]]
 
-        # Author
-        author = getattr(entry, "author", "")
+    response = {
+        "items": items,
+        "feed_title": feed_title,
+        "etag": getattr(parsed, "etag", "") or "",
+        "modified": getattr(parsed, "modified", "") or "",
+    }
+    # A mismatched encoding declaration is routine and harmless
+    exc = getattr(parsed, "bozo_exception", None)
+    if parsed.bozo and not isinstance(exc, feedparser.CharacterEncodingOverride):
+        response["warning"] = str(exc or "Feed is not well-formed")
+    return jsonify(response)
 
-        items.append({
-            "title": title,
-            "link": link,
-            "published": published,
-            "description": description,
-            "thumbnail": thumbnail,
-            "author": author,
-        })
 
-    return jsonify({"items": items, "feed_title": feed_title})
+@app.route("/api/discover")
+def discover_feeds():
+    """Find the feeds behind a web page.
+
+    Looks for ``<link rel="alternate">`` RSS, Atom and JSON feeds in the
+    page and, when it advertises none, tries a handful of common feed
+    paths.  A URL that is already a feed comes back as the only result.
+
+    Query params:
+      ?url=<page-url>
+
+    Returns JSON: { "feeds": [{ "url": "...", "title": "..." }] }
+    """
+    from bs4 import BeautifulSoup
+
+    url = request.args.get("url", "").strip()
+    if not url:
+        return jsonify({"error": "url parameter is required"}), 400
+    if "://" not in url:
+        url = "https://" + url
+
+    try:
+        resp = requests.get(url, headers=BROWSER_HEADERS, timeout=12)
+    except requests.RequestException as e:
+        return jsonify({"error": str(e), "error_type": "network"}), 502
+    if resp.status_code >= 400:
+        return jsonify({
+            "error": f"Page error: HTTP {resp.status_code}",
+            "error_type": "http",
+            "status": resp.status_code,
+        }), 502
+
+    if _is_feed(resp.content):
+        return jsonify({"feeds": [{"url": url, "title": ""}]})
+
+    soup = BeautifulSoup(resp.text, "html.parser")
+    feeds: list[dict] = []
+    seen: set[str] = set()
+    for link in soup.find_all("link", href=True):
+        rel = [r.lower() for r in link.get("rel") or []]
+        link_type = (link.get("type") or "").split(";")[0].strip().lower()
+        if "alternate" not in rel or not _is_feed_link(link_type, link["href"], link.get("title") or ""):
+            continue
+        feed_url = urljoin(resp.url, link["href"])
+        if feed_url not in seen:
+            seen.add(feed_url)
+            feeds.append({"url": feed_url, "title": (link.get("title") or "").strip()})
+
+    if not feeds:
+        candidates = [urljoin(resp.url, path) for path in COMMON_FEED_PATHS]
+        with ThreadPoolExecutor(max_workers=4) as pool:
+            found = pool.map(_probe_feed, candidates)
+        # Several paths often serve the same feed, so the first hit will do
+        feeds = [{"url": feed_url, "title": ""} for feed_url in found if feed_url][:1]
+
+    return jsonify({"feeds": feeds})
+
+
+@app.route("/api/image")
+def proxy_image():
+    """Fetch a remote image on the reader's behalf.
+
+    Privacy mode points article images here so image hosts and tracking
+    pixels see this server instead of the reader's browser, IP address,
+    cookies and referrer.  SVG is refused because it could run scripts
+    on this origin.
+
+    Query params:
+      ?url=<image-url>
+    """
+    url = request.args.get("url", "").strip()
+    if not url.startswith(("http://", "https://")):
+        return jsonify({"error": "an http(s) url parameter is required"}), 400
+
+    try:
+        resp = requests.get(url, headers=BROWSER_HEADERS, timeout=12, stream=True)
+    except requests.RequestException as e:
+        return jsonify({"error": str(e), "error_type": "network"}), 502
+
+    with resp:
+        content_type = resp.headers.get("Content-Type", "").split(";")[0].strip().lower()
+        if resp.status_code >= 400:
+            return jsonify({
+                "error": f"Image error: HTTP {resp.status_code}",
+                "error_type": "http",
+                "status": resp.status_code,
+            }), 502
+        if not content_type.startswith("image/") or content_type == "image/svg+xml":
+            return jsonify({"error": f"Not a supported image type: {content_type or 'unknown'}"}), 415
+        data = resp.raw.read(IMAGE_PROXY_MAX_BYTES + 1, decode_content=True)
+
+    if len(data) > IMAGE_PROXY_MAX_BYTES:
+        return jsonify({"error": "Image is too large"}), 413
+
+    return Response(data, mimetype=content_type, headers={
+        "Cache-Control": "public, max-age=86400",
+        "X-Content-Type-Options": "nosniff",
+    })
+
+
+@app.route("/api/discussion")
+def fetch_discussion():
+    """Fetch a comment thread as nested JSON.
+
+    Hacker News threads come from the public Algolia API.  Other sites
+    answer 404 with ``"error_type": "unsupported"`` so the client can fall
+    back to extracting the page through /api/article.
+
+    Query params:
+      ?url=<comments-url>
+
+    Returns JSON: { "title": "...", "points": 0,
+                    "comments": [{ "author", "created_at", "text", "children": [...] }] }
+    """
+    url = request.args.get("url", "").strip()
+    match = HN_ITEM_RE.match(url)
+    if not match:
+        return jsonify({
+            "error": "Threads from this site can't be loaded directly",
+            "error_type": "unsupported",
+        }), 404
+
+    try:
+        resp = requests.get(
+            f"https://hn.algolia.com/api/v1/items/{match.group(1)}", timeout=12
+        )
+        resp.raise_for_status()
+        data = resp.json()
+    except (requests.RequestException, ValueError) as e:
+        return jsonify({"error": str(e), "error_type": "network"}), 502
+
+    # Deleted comments have no author or text but keep their replies
+    def convert(node: dict) -> dict:
+        return {
+            "author": node.get("author") or "",
+            "created_at": node.get("created_at") or "",
+            "text": node.get("text") or "",
+            "children": [convert(child) for child in node.get("children") or []],
+        }
+
+    return jsonify({
+        "title": data.get("title") or "",
+        "points": data.get("points"),
+        "comments": [convert(child) for child in data.get("children") or []],
+    })
 
 
 @app.route("/api/article")
@@ -104,13 +560,7 @@ def fetch_article():
     if not url:
         return jsonify({"error": "url parameter is required"}), 400
 
-    headers = {
-        "User-Agent": (
-            "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) "
-            "AppleWebKit/537.36 (KHTML, like Gecko) "
-            "Chrome/122.0.0.0 Safari/537.36"
-        ),
-    }
+    headers = BROWSER_HEADERS
 
     text = ""
     html_content = ""
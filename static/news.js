@@ -14,6 +14,7 @@
 
   // ── Topic helpers ──
   let collapsedTopics = []; // persisted topic names that are collapsed
+  let topicOrder = []; // persisted topic names in the order the user arranged them
 
   function getTopics() {
     const map = {};
@@ -22,9 +23,17 @@
       if (!map[t]) map[t] = [];
       map[t].push(f);
     }
-    // Sort: alphabetical, but "Uncategorized" always last
+    // Arranged topics first, in the user's order; any others follow
+    // alphabetically with "Uncategorized" last. Feeds keep their order in
+    // `feeds`.
+    const rank = (name) => {
+      const i = topicOrder.indexOf(name);
+      return i === -1 ? Infinity : i;
+    };
     return Object.keys(map)
       .sort((a, b) => {
+        const byRank = rank(a) - rank(b);
+        if (byRank) return byRank;
         if (a === "Uncategorized") return 1;
         if (b === "Uncategorized") return -1;
         return a.localeCompare(b);
@@ -32,6 +41,34 @@
       .map((name) => ({ name, feeds: map[name] }));
   }
 
+  // Move a feed into `topic`, before the feed `beforeId` or at the end of
+  // the topic when that is null.
+  function moveFeed(feedId, topic, beforeId) {
+    const feed = feeds.find((f) => f.id === feedId);
+    if (!feed || feedId === beforeId) return;
+    const rest = feeds.filter((f) => f !== feed);
+    feed.topic = topic;
+    let idx = beforeId ? rest.findIndex((f) => f.id === beforeId) : -1;
+    if (idx === -1) {
+      idx = rest.length;
+      rest.forEach((f, i) => {
+        if ((f.topic || "Uncategorized") === topic) idx = i + 1;
+      });
+    }
+    rest.splice(idx, 0, feed);
+    feeds = rest;
+    save("feeds", feeds);
+  }
+
+  function moveTopic(name, beforeName) {
+    if (name === beforeName) return;
+    const names = getTopics().map((t) => t.name).filter((n) => n !== name);
+    const idx = beforeName ? names.indexOf(beforeName) : -1;
+    names.splice(idx === -1 ? names.length : idx, 0, name);
+    topicOrder = names;
+    save("topicOrder", topicOrder);
+  }
+
   function getTopicFeedIds(topicName) {
     return feeds.filter((f) => (f.topic || "Uncategorized") === topicName).map((f) => f.id);
   }
@@ -39,10 +76,18 @@
   // ── State ──
   let feeds = [];
   let articles = []; // { feedId, feedName, title, link, published, description, parsedDate }
-  let savedArticles = []; // array of link strings
-  let readArticles = []; // array of link strings
-  let activeFeed = "all"; // "all" | "saved" | feedId
+  let savedArticles = []; // snapshots: { link, title, feedId, feedName, published, description, thumbnail, author, savedAt, fullArticle }
+  let readState = new Map(); // link -> time it was read (ms)
+  let highlights = []; // { id, link, title, feedId, feedName, published, text, comment, createdAt }
+  let rules = []; // { id, name, enabled, match: "all" | "any", conditions: [{ field, type, negate, value }], action, tag }
+  let savedSearches = []; // { id, name, query }
+  let feedHealth = {}; // feedId -> { lastAttempt, lastSuccess, lastError, errorType, status, failures, itemsPerDay }
+  let feedValidators = {}; // feedId -> { etag, modified } from the last full fetch
+  let pendingArticles = []; // new items from background refreshes, waiting for the "new articles" pill
+  let previousVisit = 0; // when the app was last opened, for "new since last visit" markers
+  let activeFeed = "all"; // "all" | "saved" | "highlights" | "topic:<name>" | "tag:<name>" | "search:<id>" | feedId
   let selectedArticle = null;
+  let readingView = "article"; // "article" | "discussion" for the selected article
   let gridView = false;
   let sortOrder = "newest";
   let searchQuery = "";
@@ -50,6 +95,14 @@
   let showUnreadOnly = false;
   let fontSize = 15; // px for reading pane
   let readingWidth = "normal"; // "narrow" | "normal" | "wide"
+  let typography = {}; // reader font, spacing and theme; see TYPOGRAPHY_DEFAULTS
+  let savedSort = "savedAt"; // "savedAt" | "published" | "source"
+  let groupDuplicates = true;
+  let imageMode = "load"; // "load" | "proxy" | "block"
+  let nowPlaying = null; // episode in the media player: { url, type, kind, title, feedName, link, duration, length }
+  let mediaQueue = []; // episodes waiting to play next
+  let mediaPositions = {}; // enclosure url -> { time, updatedAt }
+  let playbackRate = 1;
 
   // ── Persistence ──
   function load(key, fallback) {
@@ -73,17 +126,157 @@
     return Math.random().toString(36).slice(2, 10);
   }
 
+  // ── IndexedDB ──
+  // localStorage is fine for settings but too small for article bodies, so
+  // the article cache lives in IndexedDB. Every helper rejects when IndexedDB
+  // is unavailable and callers treat that as "no cache".
+  const DB_NAME = "vaultfeed";
+  const DB_VERSION = 2;
+  let dbPromise = null;
+
+  function openDb() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+          reject(new Error("IndexedDB is not available"));
+          return;
+        }
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => {
+          const db = req.result;
+          if (!db.objectStoreNames.contains("articles")) {
+            db.createObjectStore("articles", { keyPath: "link" });
+          }
+          if (!db.objectStoreNames.contains("read")) {
+            db.createObjectStore("read", { keyPath: "link" });
+          }
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }
+    return dbPromise;
+  }
+
+  function idbRequest(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  async function idbGetAll(storeName) {
+    const db = await openDb();
+    return idbRequest(db.transaction(storeName).objectStore(storeName).getAll());
+  }
+
+  async function idbWrite(storeName, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, "readwrite");
+      fn(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  function idbPutMany(storeName, records) {
+    if (!records.length) return Promise.resolve();
+    return idbWrite(storeName, (store) => records.forEach((r) => store.put(r)));
+  }
+
+  function idbDeleteMany(storeName, keys) {
+    if (!keys.length) return Promise.resolve();
+    return idbWrite(storeName, (store) => keys.forEach((k) => store.delete(k)));
+  }
+
+  // ── Read state ──
+  // Read links are held in a Map (link → time read) and mirrored to the
+  // "read" store. Entries expire by age instead of count: by the time one is
+  // READ_MAX_AGE_DAYS old its article has long dropped out of every feed.
+  // Saved and highlighted articles are kept forever, and so is their entry.
+  const READ_MAX_AGE_DAYS = 90;
+
+  function isRead(link) {
+    return readState.has(link);
+  }
+
+  function markRead(links) {
+    const now = Date.now();
+    const fresh = [...new Set(links)].filter((link) => link && !readState.has(link));
+    fresh.forEach((link) => readState.set(link, now));
+    idbPutMany("read", fresh.map((link) => ({ link, readAt: now }))).catch((e) =>
+      console.warn("Read state not saved:", e)
+    );
+    return fresh.length;
+  }
+
+  // Resolves once the store matches, so callers can wait before reloading
+  function replaceReadState(links) {
+    const now = Date.now();
+    const next = new Map(links.map((link) => [link, readState.get(link) || now]));
+    const removed = [...readState.keys()].filter((link) => !next.has(link));
+    readState = next;
+    return idbWrite("read", (store) => {
+      removed.forEach((link) => store.delete(link));
+      next.forEach((readAt, link) => store.put({ link, readAt }));
+    }).catch((e) => console.warn("Read state not saved:", e));
+  }
+
+  async function loadReadState() {
+    // Earlier versions kept a truncated array of links in localStorage
+    const legacy = load("read", null);
+    let records;
+    try {
+      records = await idbGetAll("read");
+    } catch (e) {
+      console.warn("Read state unavailable:", e);
+      if (Array.isArray(legacy)) legacy.forEach((link) => readState.has(link) || readState.set(link, Date.now()));
+      return;
+    }
+
+    const cutoff = Date.now() - READ_MAX_AGE_DAYS * 86400000;
+    const expired = [];
+    records.forEach((r) => {
+      const pinned = isSaved(r.link) || hasHighlights(r.link);
+      if (!pinned && !(r.readAt >= cutoff)) expired.push(r.link);
+      else if (!readState.has(r.link)) readState.set(r.link, r.readAt);
+    });
+    idbDeleteMany("read", expired).catch(() => {});
+
+    if (Array.isArray(legacy)) {
+      markRead(legacy.filter((link) => typeof link === "string"));
+      localStorage.removeItem("nr_read");
+    }
+  }
+
   // ── Load persisted state ──
   function loadState() {
     feeds = load("feeds", DEFAULT_FEEDS);
-    savedArticles = load("saved", []);
-    readArticles = load("read", []);
+    savedArticles = normalizeSavedList(load("saved", []));
+    highlights = load("highlights", []);
+    rules = load("rules", []);
+    savedSearches = load("searches", []);
+    feedHealth = load("feedHealth", {});
+    feedValidators = load("feedValidators", {});
+    previousVisit = load("lastVisit", 0);
+    save("lastVisit", Date.now());
     gridView = load("gridView", false);
     sortOrder = load("sortOrder", "newest");
     collapsedTopics = load("collapsedTopics", []);
+    topicOrder = load("topicOrder", []);
     showUnreadOnly = load("showUnreadOnly", false);
     fontSize = load("fontSize", 15);
     readingWidth = load("readingWidth", "normal");
+    typography = { ...TYPOGRAPHY_DEFAULTS, ...cleanTypography(load("typography", {})) };
+    savedSort = load("savedSort", "savedAt");
+    groupDuplicates = load("groupDuplicates", true);
+    imageMode = load("imageMode", "load");
+    nowPlaying = load("nowPlaying", null);
+    mediaQueue = load("mediaQueue", []);
+    mediaPositions = load("mediaPositions", {});
+    playbackRate = load("playbackRate", 1);
 
     // Theme
     const savedTheme = load("theme", "dark");
@@ -100,6 +293,10 @@
     });
     if (migrated) save("feeds", feeds);
 
+    // Migrate saved links from before snapshots were stored. The stubs are
+    // filled in from the article cache or the next fetch that includes them.
+    if (savedArticles.some((s) => s.stub)) persistSaved();
+
     // Accent color
     const accent = load("accent", null);
     if (accent) {
@@ -130,6 +327,8 @@
       panel.classList.add("open");
       panel.setAttribute("aria-hidden", "false");
       renderFeedManager();
+      renderRuleManager();
+      renderFeedDiagnostics();
     });
 
     closeBtn.addEventListener("click", () => {
@@ -188,12 +387,45 @@
       });
     }
 
+    // Reader typography
+    Object.entries(TYPOGRAPHY_SETTING_IDS).forEach(([key, id]) => {
+      const select = $(id);
+      if (!select) return;
+      select.value = typography[key];
+      select.addEventListener("change", () => setTypography(key, select.value, null));
+    });
+
+    // Duplicate grouping
+    const dupSelect = $("nrGroupDuplicates");
+    if (dupSelect) {
+      dupSelect.value = groupDuplicates ? "on" : "off";
+      dupSelect.addEventListener("change", () => {
+        groupDuplicates = dupSelect.value === "on";
+        save("groupDuplicates", groupDuplicates);
+        renderArticles();
+      });
+    }
+
+    // Image privacy
+    const imageSelect = $("nrImageMode");
+    if (imageSelect) {
+      imageSelect.value = imageMode;
+      imageSelect.addEventListener("change", () => {
+        imageMode = imageSelect.value;
+        save("imageMode", imageMode);
+        if (selectedArticle) selectArticle(selectedArticle);
+      });
+    }
+
     // Article limit
     const alSelect = $("nrArticleLimit");
     if (alSelect) {
       alSelect.value = load("articleLimit", "20");
       alSelect.addEventListener("change", () => {
         save("articleLimit", alSelect.value);
+        // A different limit needs full responses, not "not modified"
+        feedValidators = {};
+        save("feedValidators", feedValidators);
         refreshAllFeeds();
       });
     }
@@ -203,14 +435,20 @@
     const importBtn = $("nrImportFeeds");
     const importFile = $("nrImportFile");
 
+    const backupBtn = $("nrExportBackup");
+
     if (exportBtn) {
       exportBtn.addEventListener("click", () => {
-        const data = JSON.stringify({ feeds, savedArticles }, null, 2);
-        const blob = new Blob([data], { type: "application/json" });
-        const a = document.createElement("a");
-        a.href = URL.createObjectURL(blob);
-        a.download = "vaultfeed-export.json";
-        a.click();
+        const data = JSON.stringify(buildBackup(["feeds", "saved"]), null, 2);
+        downloadFile("vaultfeed-export.json", data, "application/json");
+      });
+    }
+
+    if (backupBtn) {
+      backupBtn.addEventListener("click", () => {
+        const data = JSON.stringify(buildBackup(PROFILE_KEYS), null, 2);
+        const day = new Date().toISOString().slice(0, 10);
+        downloadFile(`vaultfeed-backup-${day}.json`, data, "application/json");
       });
     }
 
@@ -221,26 +459,534 @@
         if (!file) return;
         const reader = new FileReader();
         reader.onload = (ev) => {
+          let data;
           try {
-            const data = JSON.parse(ev.target.result);
-            if (Array.isArray(data.feeds)) {
-              feeds = data.feeds;
-              save("feeds", feeds);
-            }
-            if (Array.isArray(data.savedArticles)) {
-              savedArticles = data.savedArticles;
-              save("saved", savedArticles);
-            }
-            renderSidebar();
-            refreshAllFeeds();
+            data = JSON.parse(ev.target.result);
           } catch {
             alert("Invalid JSON file");
+            return;
+          }
+          let backup;
+          try {
+            backup = migrateBackup(data);
+          } catch (err) {
+            alert(err.message);
+            return;
+          }
+          if (!Object.keys(backup.data).length) {
+            alert("This file doesn't contain any feeds, saved articles or settings");
+            return;
           }
+          openImportPreview(backup);
         };
         reader.readAsText(file);
         importFile.value = "";
       });
     }
+
+    // OPML export / import
+    const exportOpmlBtn = $("nrExportOpml");
+    const importOpmlBtn = $("nrImportOpml");
+    const importOpmlFile = $("nrImportOpmlFile");
+
+    if (exportOpmlBtn) {
+      exportOpmlBtn.addEventListener("click", () => {
+        downloadFile("vaultfeed-feeds.opml", buildOpml(), "text/x-opml");
+      });
+    }
+
+    if (importOpmlBtn && importOpmlFile) {
+      importOpmlBtn.addEventListener("click", () => importOpmlFile.click());
+      importOpmlFile.addEventListener("change", (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = (ev) => {
+          let result;
+          try {
+            result = importOpml(ev.target.result);
+          } catch (err) {
+            alert(err.message || "Invalid OPML file");
+            return;
+          }
+          if (result.added) {
+            renderSidebar();
+            renderFeedManager();
+            refreshAllFeeds();
+          }
+          alert(
+            `OPML import finished: ${result.added} added, ` +
+            `${result.skipped} skipped (already subscribed), ${result.invalid} invalid.`
+          );
+        };
+        reader.readAsText(file);
+        importOpmlFile.value = "";
+      });
+    }
+  }
+
+  // ── Backups ──
+  // A backup is { app, version, exportedAt, data } where data maps the keys
+  // that load()/save() manage to their stored values. Bump BACKUP_VERSION when
+  // a key's shape changes and add a step that upgrades the previous version.
+  const BACKUP_VERSION = 2;
+  const LIST_KEYS = ["feeds", "saved", "read", "highlights"];
+  const PREFERENCE_KEYS = [
+    "theme",
+    "accent",
+    "fontSize",
+    "readingWidth",
+    "typography",
+    "sortOrder",
+    "gridView",
+    "showUnreadOnly",
+    "collapsedTopics",
+    "topicOrder",
+    "autoRefresh",
+    "articleLimit",
+    "savedSort",
+    "rules",
+    "searches",
+    "groupDuplicates",
+    "imageMode",
+    "playbackRate",
+  ];
+  const PROFILE_KEYS = LIST_KEYS.concat(PREFERENCE_KEYS);
+
+  const BACKUP_MIGRATIONS = {
+    // 0 → 1: the original { feeds, savedArticles } export
+    0: (old) => {
+      const data = {};
+      if (Array.isArray(old.feeds)) data.feeds = old.feeds;
+      if (Array.isArray(old.savedArticles)) data.saved = old.savedArticles;
+      return { app: "vaultfeed", version: 1, data };
+    },
+    // 1 → 2: saved articles became snapshots instead of link strings
+    1: (old) => {
+      const data = { ...old.data };
+      if (Array.isArray(data.saved)) data.saved = normalizeSavedList(data.saved);
+      return { ...old, version: 2, data };
+    },
+  };
+
+  function buildBackup(keys) {
+    const current = { feeds, saved: savedArticles, read: [...readState.keys()], highlights };
+    const data = {};
+    for (const key of keys) {
+      const value = key in current ? current[key] : load(key, undefined);
+      if (value !== undefined) data[key] = value;
+    }
+    return { app: "vaultfeed", version: BACKUP_VERSION, exportedAt: new Date().toISOString(), data };
+  }
+
+  function migrateBackup(raw) {
+    if (!raw || typeof raw !== "object") throw new Error("Invalid backup file");
+    let backup = raw;
+    let version = raw.app === "vaultfeed" && Number.isInteger(raw.version) ? raw.version : 0;
+    if (version > BACKUP_VERSION) {
+      throw new Error("This backup was made by a newer version of VaultFeed");
+    }
+    while (version < BACKUP_VERSION) {
+      backup = BACKUP_MIGRATIONS[version](backup);
+      version = backup.version;
+    }
+    if (!backup.data || typeof backup.data !== "object") throw new Error("Invalid backup file");
+    return backup;
+  }
+
+  // ── Import preview (merge / replace) ──
+  let pendingImport = null; // migrated backup waiting for the user to confirm
+
+  function normalizeImportedFeeds(list) {
+    const seen = new Set();
+    const result = [];
+    for (const f of Array.isArray(list) ? list : []) {
+      if (!f || typeof f.url !== "string" || !f.url.trim()) continue;
+      const url = f.url.trim();
+      if (seen.has(url)) continue;
+      seen.add(url);
+      const feed = {
+        id: typeof f.id === "string" && f.id ? f.id : generateId(),
+        name: (f.name || "").trim() || url,
+        url,
+        topic: (f.topic || "").trim() || "Uncategorized",
+      };
+      if (Number.isFinite(f.refreshMinutes) && f.refreshMinutes >= 0) feed.refreshMinutes = f.refreshMinutes;
+      const typography = cleanTypography(f.typography);
+      if (Object.keys(typography).length) feed.typography = { ...TYPOGRAPHY_DEFAULTS, ...typography };
+      result.push(feed);
+    }
+    return result;
+  }
+
+  // Work out what an import would do without touching any state.
+  // Merge keeps every existing feed (and its topic) and only adds or renames;
+  // replace makes the feed list match the file but reuses ids for known URLs.
+  function planImport(backup, mode) {
+    const data = backup.data;
+    const incoming = normalizeImportedFeeds(data.feeds);
+    const byUrl = new Map(feeds.map((f) => [f.url, f]));
+    const usedIds = new Set(feeds.map((f) => f.id));
+    const plan = {
+      feeds: [],
+      saved: [],
+      read: [],
+      added: [],
+      changed: [],
+      removed: [],
+      savedAdded: 0,
+      savedRemoved: 0,
+      readAdded: 0,
+      highlights: [],
+      highlightsAdded: 0,
+      preferences: PREFERENCE_KEYS.filter((key) => key in data),
+    };
+
+    if (mode === "merge") {
+      plan.feeds = feeds.map((f) => ({ ...f }));
+      const resultByUrl = new Map(plan.feeds.map((f) => [f.url, f]));
+      for (const inc of incoming) {
+        const existing = resultByUrl.get(inc.url);
+        if (!existing) {
+          const feed = { ...inc };
+          if (usedIds.has(feed.id)) feed.id = generateId();
+          usedIds.add(feed.id);
+          plan.feeds.push(feed);
+          plan.added.push(feed);
+        } else if (inc.name !== existing.name) {
+          plan.changed.push({ feed: existing, changes: [`name “${existing.name}” → “${inc.name}”`] });
+          existing.name = inc.name;
+        }
+      }
+    } else {
+      for (const inc of incoming) {
+        const existing = byUrl.get(inc.url);
+        if (!existing) {
+          plan.feeds.push(inc);
+          plan.added.push(inc);
+          continue;
+        }
+        const feed = { ...inc, id: existing.id };
+        const changes = [];
+        if (feed.name !== existing.name) changes.push(`name “${existing.name}” → “${feed.name}”`);
+        if (feed.topic !== (existing.topic || "Uncategorized")) {
+          changes.push(`topic “${existing.topic || "Uncategorized"}” → “${feed.topic}”`);
+        }
+        if (changes.length) plan.changed.push({ feed, changes });
+        plan.feeds.push(feed);
+      }
+      const incomingUrls = new Set(incoming.map((f) => f.url));
+      plan.removed = feeds.filter((f) => !incomingUrls.has(f.url));
+    }
+
+    // Saved articles are deduped by link
+    const incomingSaved = normalizeSavedList(data.saved);
+    const currentLinks = new Set(savedArticles.map((s) => s.link));
+    const freshSaved = incomingSaved.filter((s) => !currentLinks.has(s.link));
+    plan.savedAdded = freshSaved.length;
+    if (mode === "merge") {
+      plan.saved = savedArticles.concat(freshSaved);
+    } else {
+      const incomingLinks = new Set(incomingSaved.map((s) => s.link));
+      plan.saved = incomingSaved;
+      plan.savedRemoved = savedArticles.filter((s) => !incomingLinks.has(s.link)).length;
+    }
+
+    // Read history is a plain set of links either way
+    const incomingRead = (data.read || []).filter((l) => typeof l === "string" && l);
+    plan.readAdded = incomingRead.filter((l) => !readState.has(l)).length;
+    plan.read = mode === "merge" ? [...new Set([...readState.keys(), ...incomingRead])] : [...new Set(incomingRead)];
+
+    // Highlights are deduped by id
+    const incomingHighlights = (data.highlights || []).filter((h) => h && h.id && h.link && h.text);
+    const currentHighlightIds = new Set(highlights.map((h) => h.id));
+    const freshHighlights = incomingHighlights.filter((h) => !currentHighlightIds.has(h.id));
+    plan.highlightsAdded = freshHighlights.length;
+    plan.highlights = mode === "merge" ? highlights.concat(freshHighlights) : incomingHighlights;
+
+    // Keys missing from the file leave the current value alone
+    if (!Array.isArray(data.feeds)) {
+      plan.feeds = feeds;
+      plan.added = [];
+      plan.changed = [];
+      plan.removed = [];
+    }
+    if (!Array.isArray(data.saved)) {
+      plan.saved = savedArticles;
+      plan.savedAdded = 0;
+      plan.savedRemoved = 0;
+    }
+    if (!Array.isArray(data.read)) {
+      plan.read = [...readState.keys()];
+      plan.readAdded = 0;
+    }
+    if (!Array.isArray(data.highlights)) {
+      plan.highlights = highlights;
+      plan.highlightsAdded = 0;
+    }
+
+    return plan;
+  }
+
+  function getImportMode() {
+    const checked = document.querySelector('input[name="nrImportMode"]:checked');
+    return checked ? checked.value : "merge";
+  }
+
+  function renderImportDiff() {
+    const container = $("nrImportDiff");
+    if (!container || !pendingImport) return;
+    const plan = planImport(pendingImport, getImportMode());
+
+    const group = (label, cls, items) =>
+      items.length
+        ? `<div class="nr-import-diff-group ${cls}">
+            <h4>${label} (${items.length})</h4>
+            <ul>${items.join("")}</ul>
+          </div>`
+        : "";
+
+    const html =
+      group("Added", "nr-import-added", plan.added.map((f) =>
+        `<li><span>${escapeHtml(f.name)}</span><span class="muted">${escapeHtml(f.topic)}</span></li>`)) +
+      group("Changed", "nr-import-changed", plan.changed.map((c) =>
+        `<li><span>${escapeHtml(c.feed.name)}</span><span class="muted">${escapeHtml(c.changes.join(", "))}</span></li>`)) +
+      group("Removed", "nr-import-removed", plan.removed.map((f) =>
+        `<li><span>${escapeHtml(f.name)}</span><span class="muted">${escapeHtml(f.topic || "Uncategorized")}</span></li>`));
+
+    const savedParts = [];
+    if (plan.savedAdded) savedParts.push(`${plan.savedAdded} added`);
+    if (plan.savedRemoved) savedParts.push(`${plan.savedRemoved} removed`);
+    let extraHtml = savedParts.length
+      ? `<div class="nr-import-saved">Saved articles: ${savedParts.join(", ")}</div>`
+      : "";
+    if (plan.readAdded) {
+      extraHtml += `<div class="nr-import-saved">Read history: ${plan.readAdded} articles marked read</div>`;
+    }
+    if (plan.highlightsAdded) {
+      extraHtml += `<div class="nr-import-saved">Highlights: ${plan.highlightsAdded} added</div>`;
+    }
+
+    // Preferences are only offered for full backups
+    const prefsRow = $("nrImportPrefsRow");
+    if (prefsRow) prefsRow.style.display = plan.preferences.length ? "flex" : "none";
+    const prefsCount = $("nrImportPrefsCount");
+    if (prefsCount) prefsCount.textContent = plan.preferences.length;
+
+    container.innerHTML = html || extraHtml || plan.preferences.length
+      ? html + extraHtml
+      : '<div class="nr-import-empty muted">Nothing to change — your feeds already match this file.</div>';
+  }
+
+  function openImportPreview(backup) {
+    const overlay = $("nrImportOverlay");
+    if (!overlay) return;
+    pendingImport = backup;
+    const merge = document.querySelector('input[name="nrImportMode"][value="merge"]');
+    if (merge) merge.checked = true;
+    const prefsToggle = $("nrImportPrefs");
+    if (prefsToggle) prefsToggle.checked = true;
+    renderImportDiff();
+    overlay.style.display = "flex";
+  }
+
+  function closeImportPreview() {
+    const overlay = $("nrImportOverlay");
+    if (overlay) overlay.style.display = "none";
+    pendingImport = null;
+  }
+
+  async function applyImport() {
+    if (!pendingImport) return;
+    const backup = pendingImport;
+    const plan = planImport(backup, getImportMode());
+    const prefsToggle = $("nrImportPrefs");
+    const restorePrefs = plan.preferences.length && (!prefsToggle || prefsToggle.checked);
+    closeImportPreview();
+
+    feeds = plan.feeds;
+    save("feeds", feeds);
+    savedArticles = plan.saved;
+    persistSaved();
+    indexArticles(savedArticles);
+    const readWritten = replaceReadState(plan.read);
+    highlights = plan.highlights;
+    save("highlights", highlights);
+
+    // Preferences are applied by loadState() and the init* functions, so
+    // the simplest faithful restore is to store them and start over.
+    if (restorePrefs) {
+      plan.preferences.forEach((key) => save(key, backup.data[key]));
+      await readWritten;
+      location.reload();
+      return;
+    }
+
+    if (!isVirtualFeed(activeFeed) && !feeds.some((f) => f.id === activeFeed)) {
+      activeFeed = "all";
+    }
+    renderSidebar();
+    renderFeedManager();
+    setActiveFeed(activeFeed);
+    refreshAllFeeds();
+  }
+
+  function initImportModal() {
+    const overlay = $("nrImportOverlay");
+    if (!overlay) return;
+
+    const closeBtn = $("nrImportClose");
+    const cancelBtn = $("nrImportCancel");
+    const applyBtn = $("nrImportApply");
+
+    if (closeBtn) closeBtn.addEventListener("click", closeImportPreview);
+    if (cancelBtn) cancelBtn.addEventListener("click", closeImportPreview);
+    if (applyBtn) applyBtn.addEventListener("click", applyImport);
+
+    overlay.addEventListener("click", (e) => {
+      if (e.target === overlay) closeImportPreview();
+    });
+
+    document.querySelectorAll('input[name="nrImportMode"]').forEach((radio) => {
+      radio.addEventListener("change", renderImportDiff);
+    });
+
+    // Full backups also carry preferences: restoring them is opt-out
+    const prefsToggle = $("nrImportPrefs");
+    if (prefsToggle) prefsToggle.addEventListener("change", renderImportDiff);
+  }
+
+  // ── OPML ──
+  // Top-level outlines with an xmlUrl are feeds; outlines without one are
+  // groups, and a feed's topic is the name of its innermost group.
+  function buildOpml() {
+    const feedOutline = (f, indent) =>
+      `${indent}<outline type="rss" text="${escapeXml(f.name)}" title="${escapeXml(f.name)}" xmlUrl="${escapeXml(f.url)}"/>`;
+
+    const body = getTopics()
+      .map((topic) => {
+        if (topic.name === "Uncategorized") {
+          return topic.feeds.map((f) => feedOutline(f, "    ")).join("\n");
+        }
+        return (
+          `    <outline text="${escapeXml(topic.name)}" title="${escapeXml(topic.name)}">\n` +
+          topic.feeds.map((f) => feedOutline(f, "      ")).join("\n") +
+          "\n    </outline>"
+        );
+      })
+      .join("\n");
+
+    return (
+      '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<opml version="2.0">\n' +
+      "  <head>\n" +
+      "    <title>VaultFeed subscriptions</title>\n" +
+      `    <dateCreated>${new Date().toUTCString()}</dateCreated>\n` +
+      "  </head>\n" +
+      "  <body>\n" +
+      body +
+      "\n  </body>\n" +
+      "</opml>\n"
+    );
+  }
+
+  function parseOpml(text) {
+    const doc = new DOMParser().parseFromString(text, "text/xml");
+    const body = doc.querySelector("opml > body");
+    if (doc.querySelector("parsererror") || !body) {
+      throw new Error("Not a valid OPML file");
+    }
+
+    const entries = [];
+    const walk = (parent, topic) => {
+      for (const el of parent.children) {
+        if (el.tagName.toLowerCase() !== "outline") continue;
+        const label = (el.getAttribute("title") || el.getAttribute("text") || "").trim();
+        const xmlUrl = el.getAttribute("xmlUrl") ?? el.getAttribute("xmlurl");
+        const type = (el.getAttribute("type") || "").toLowerCase();
+
+        if (xmlUrl !== null || type === "rss" || type === "atom") {
+          entries.push({ name: label, url: (xmlUrl || "").trim(), topic });
+        }
+        if (el.children.length) walk(el, xmlUrl ? topic : label || topic);
+      }
+    };
+    walk(body, "");
+    return entries;
+  }
+
+  function importOpml(text) {
+    const entries = parseOpml(text);
+    const known = new Set(feeds.map((f) => f.url));
+    const result = { added: 0, skipped: 0, invalid: 0 };
+
+    for (const entry of entries) {
+      if (!isHttpUrl(entry.url)) {
+        result.invalid++;
+        continue;
+      }
+      if (known.has(entry.url)) {
+        result.skipped++;
+        continue;
+      }
+      known.add(entry.url);
+      feeds.push({
+        id: generateId(),
+        name: entry.name || new URL(entry.url).hostname,
+        url: entry.url,
+        topic: entry.topic || "Uncategorized",
+      });
+      result.added++;
+    }
+
+    if (result.added) save("feeds", feeds);
+    return result;
+  }
+
+  // ── Feed manager ──
+  let editingFeedId = null; // feed whose name and URL are being edited inline
+
+  // Rename a feed or point it at a new URL, keeping its id so saved
+  // articles, rules and highlights still refer to it.
+  async function updateFeed(feed, name, url) {
+    if (!name || !url) {
+      alert("Please enter both a name and URL");
+      return false;
+    }
+    const urlChanged = url !== feed.url;
+    if (urlChanged) {
+      if (feeds.some((f) => f !== feed && f.url === url)) {
+        alert("This feed URL already exists");
+        return false;
+      }
+      const result = await checkFeed(url);
+      if (result.error) {
+        alert(`This feed can't be read: ${result.error}`);
+        return false;
+      }
+      if ((result.warning || !result.items.length) &&
+        !confirm(result.warning ? `The feed parsed with problems (${result.warning}). Save anyway?` : "The feed has no items. Save anyway?")) {
+        return false;
+      }
+    }
+
+    feed.name = name;
+    feed.url = url;
+    save("feeds", feeds);
+
+    const renamed = articles.filter((a) => a.feedId === feed.id && a.feedName !== name);
+    renamed.forEach((a) => (a.feedName = name));
+    cacheArticles(renamed);
+
+    if (urlChanged) {
+      // Validators and failures from the old URL say nothing about the new one
+      delete feedValidators[feed.id];
+      save("feedValidators", feedValidators);
+      delete feedHealth[feed.id];
+      save("feedHealth", feedHealth);
+      retryFeed(feed);
+    }
+    return true;
   }
 
   function renderFeedManager() {
@@ -255,12 +1001,21 @@
     container.innerHTML = topics
       .map(
         (topic) => `
-        <div class="nr-fm-topic-group">
-          <div class="nr-fm-topic-label">${escapeHtml(topic.name)}</div>
+        <div class="nr-fm-topic-group" data-topic="${escapeHtml(topic.name)}">
+          <div class="nr-fm-topic-label" draggable="true" title="Drag to reorder topics">${escapeHtml(topic.name)}</div>
           ${topic.feeds
-            .map(
-              (f) => `
-            <div class="nr-feed-manager-item">
+            .map((f) =>
+              f.id === editingFeedId
+                ? `
+            <div class="nr-feed-manager-item nr-fm-editing" data-feed-id="${f.id}">
+              <input type="text" class="nr-form-input nr-fm-name-input" value="${escapeHtml(f.name)}" placeholder="Name" />
+              <input type="text" class="nr-form-input nr-fm-url-input" value="${escapeHtml(f.url)}" placeholder="Feed URL" />
+              <button class="nr-btn nr-btn-primary nr-fm-save">Save</button>
+              <button class="nr-btn nr-btn-secondary nr-fm-cancel">Cancel</button>
+            </div>
+          `
+                : `
+            <div class="nr-feed-manager-item" draggable="true" data-feed-id="${f.id}">
               <span class="nr-feed-manager-name" title="${escapeHtml(f.url)}">${escapeHtml(f.name)}</span>
               <select class="nr-fm-topic-select" data-feed-id="${f.id}" title="Change topic">
                 ${[...new Set(feeds.map((x) => x.topic || "Uncategorized"))]
@@ -269,6 +1024,12 @@
                   .join("")}
                 <option value="__new__">+ New topic…</option>
               </select>
+              <select class="nr-fm-refresh-select" data-feed-id="${f.id}" title="Refresh interval">
+                ${FEED_REFRESH_CHOICES
+                  .map(([value, label]) => `<option value="${value}"${String(f.refreshMinutes ?? "") === value ? " selected" : ""}>${label}</option>`)
+                  .join("")}
+              </select>
+              <button class="nr-feed-manager-edit" data-id="${f.id}" title="Edit name and URL"><svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><path d="M12 20h9"/><path d="M16.5 3.5a2.1 2.1 0 0 1 3 3L7 19l-4 1 1-4z"/></svg></button>
               <button class="nr-feed-manager-delete" data-id="${f.id}" title="Remove feed"><svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg></button>
             </div>
           `
@@ -279,6 +1040,115 @@
       )
       .join("");
 
+    // Inline editing
+    container.querySelectorAll(".nr-feed-manager-edit").forEach((btn) => {
+      btn.addEventListener("click", () => {
+        editingFeedId = btn.dataset.id;
+        renderFeedManager();
+        const input = container.querySelector(".nr-fm-name-input");
+        if (input) input.focus();
+      });
+    });
+
+    const editRow = container.querySelector(".nr-fm-editing");
+    if (editRow) {
+      const feed = feeds.find((f) => f.id === editRow.dataset.feedId);
+      const nameInput = editRow.querySelector(".nr-fm-name-input");
+      const urlInput = editRow.querySelector(".nr-fm-url-input");
+      const saveBtn = editRow.querySelector(".nr-fm-save");
+      const cancel = () => {
+        editingFeedId = null;
+        renderFeedManager();
+      };
+      const commit = async () => {
+        saveBtn.disabled = true;
+        const ok = await updateFeed(feed, nameInput.value.trim(), urlInput.value.trim());
+        saveBtn.disabled = false;
+        if (!ok) return;
+        editingFeedId = null;
+        renderSidebar();
+        renderFeedManager();
+        renderArticles();
+      };
+      saveBtn.addEventListener("click", commit);
+      editRow.querySelector(".nr-fm-cancel").addEventListener("click", cancel);
+      [nameInput, urlInput].forEach((input) =>
+        input.addEventListener("keydown", (e) => {
+          if (e.key === "Enter") commit();
+          else if (e.key === "Escape") cancel();
+        })
+      );
+    }
+
+    // Drag and drop: feeds move within and between topics, topic labels
+    // reorder the topics themselves
+    let dragging = null; // { feedId } or { topic }
+    const clearDropMarks = () =>
+      container.querySelectorAll(".nr-fm-drop-before, .nr-fm-drop-after").forEach((el) =>
+        el.classList.remove("nr-fm-drop-before", "nr-fm-drop-after")
+      );
+    // The element a drop lands on and whether it goes after it
+    const dropTarget = (e, group) => {
+      const el = dragging.feedId ? e.target.closest(".nr-feed-manager-item") || group : group;
+      const rect = el.getBoundingClientRect();
+      return { el, after: el === group && dragging.feedId ? true : e.clientY > rect.top + rect.height / 2 };
+    };
+
+    container.querySelectorAll(".nr-feed-manager-item[draggable]").forEach((item) => {
+      item.addEventListener("dragstart", (e) => {
+        dragging = { feedId: item.dataset.feedId };
+        e.dataTransfer.effectAllowed = "move";
+        e.dataTransfer.setData("text/plain", item.dataset.feedId);
+        item.classList.add("nr-fm-dragging");
+      });
+    });
+    container.querySelectorAll(".nr-fm-topic-label").forEach((label) => {
+      label.addEventListener("dragstart", (e) => {
+        const group = label.closest(".nr-fm-topic-group");
+        dragging = { topic: group.dataset.topic };
+        e.dataTransfer.effectAllowed = "move";
+        e.dataTransfer.setData("text/plain", group.dataset.topic);
+        group.classList.add("nr-fm-dragging");
+      });
+    });
+    container.querySelectorAll("[draggable]").forEach((el) => {
+      el.addEventListener("dragend", () => {
+        dragging = null;
+        clearDropMarks();
+        container.querySelectorAll(".nr-fm-dragging").forEach((x) => x.classList.remove("nr-fm-dragging"));
+      });
+    });
+
+    container.querySelectorAll(".nr-fm-topic-group").forEach((group) => {
+      group.addEventListener("dragover", (e) => {
+        if (!dragging) return;
+        e.preventDefault();
+        clearDropMarks();
+        const { el, after } = dropTarget(e, group);
+        el.classList.add(after ? "nr-fm-drop-after" : "nr-fm-drop-before");
+      });
+      group.addEventListener("drop", (e) => {
+        if (!dragging) return;
+        e.preventDefault();
+        const { el, after } = dropTarget(e, group);
+        if (dragging.feedId) {
+          let before = el;
+          if (after) {
+            before = el === group ? null : el.nextElementSibling;
+            if (before && !before.classList.contains("nr-feed-manager-item")) before = null;
+          }
+          moveFeed(dragging.feedId, group.dataset.topic, before ? before.dataset.feedId : null);
+        } else {
+          const next = after ? group.nextElementSibling : group;
+          moveTopic(dragging.topic, next ? next.dataset.topic : null);
+        }
+        dragging = null;
+        renderSidebar();
+        renderFeedManager();
+        updateCounts();
+      });
+    });
+
     // Delete handlers
     container.querySelectorAll(".nr-feed-manager-delete").forEach((btn) => {
       btn.addEventListener("click", () => {
@@ -294,6 +1164,17 @@
       });
     });
 
+    // Refresh interval handlers
+    container.querySelectorAll(".nr-fm-refresh-select").forEach((sel) => {
+      sel.addEventListener("change", () => {
+        const feed = feeds.find((f) => f.id === sel.dataset.feedId);
+        if (!feed) return;
+        if (sel.value === "") delete feed.refreshMinutes;
+        else feed.refreshMinutes = parseInt(sel.value);
+        save("feeds", feeds);
+      });
+    });
+
     // Topic change handlers
     container.querySelectorAll(".nr-fm-topic-select").forEach((sel) => {
       sel.addEventListener("change", () => {
@@ -342,6 +1223,7 @@
           <button class="nr-feed-btn${activeFeed === f.id ? " nr-feed-active" : ""}" data-feed="${f.id}">
             <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M4 11a9 9 0 0 1 9 9"/><path d="M4 4a16 16 0 0 1 16 16"/><circle cx="5" cy="19" r="1"/></svg>
             <span>${escapeHtml(f.name)}</span>
+            <span class="nr-feed-warning" id="nrWarn_${f.id}" style="display:none;">!</span>
             <span class="nr-feed-count" id="nrCount_${f.id}">0</span>
             <button class="nr-feed-delete" data-delete="${f.id}" title="Remove feed">
               <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>
@@ -412,6 +1294,8 @@
         updateCounts();
       });
     });
+
+    updateFeedHealthIndicators();
   }
 
   function setActiveFeed(id) {
@@ -448,6 +1332,12 @@
     if (titleEl) {
       if (id === "all") titleEl.textContent = "All Feeds";
       else if (id === "saved") titleEl.textContent = "Saved Articles";
+      else if (id.startsWith("tag:")) titleEl.textContent = "#" + id.slice(4);
+      else if (id === "highlights") titleEl.textContent = "Highlights";
+      else if (id.startsWith("search:")) {
+        const search = findSavedSearch(id.slice(7));
+        titleEl.textContent = search ? search.name : "Search";
+      }
       else if (id.startsWith("topic:")) titleEl.textContent = id.slice(6);
       else {
         const feed = feeds.find((f) => f.id === id);
@@ -455,68 +1345,1471 @@
       }
     }
 
+    updateSavedToolbar();
+    const highlightsBar = $("nrHighlightsToolbar");
+    if (highlightsBar) highlightsBar.style.display = id === "highlights" ? "flex" : "none";
     renderArticles();
     showReadingEmpty();
   }
 
-  // ── Fetch feeds ──
-  async function fetchFeed(feed) {
-    const limit = load("articleLimit", 20);
-    try {
-      const params = new URLSearchParams({ url: feed.url, limit });
-      const res = await fetch(`/api/news?${params}`);
-      const data = await res.json();
-
-      if (data.error) {
-        console.warn(`Feed error (${feed.name}):`, data.error);
-        return [];
-      }
+  function isSavedView(id) {
+    return id === "saved" || id.startsWith("tag:");
+  }
 
-      return (data.items || []).map((item) => ({
-        feedId: feed.id,
-        feedName: feed.name,
-        title: item.title || "(no title)",
-        link: item.link || "",
-        published: item.published || "",
-        description: item.description || "",
-        thumbnail: item.thumbnail || "",
-        author: item.author || "",
-        parsedDate: parseDate(item.published),
-      }));
-    } catch (e) {
-      console.error(`Fetch error (${feed.name}):`, e);
-      return [];
-    }
+  function isVirtualFeed(id) {
+    return id === "all" || id === "saved" || id === "highlights" ||
+      id.startsWith("topic:") || id.startsWith("tag:") || id.startsWith("search:");
+  }
+
+  // ── Article cache ──
+  // Articles are cached by link so a reload renders instantly and the reader
+  // keeps working offline. `fetchedAt` is the last time a feed returned the
+  // item; `fullArticle` holds whatever /api/article extracted for it.
+  const CACHE_MAX_AGE_DAYS = 30;
+
+  function toCacheRecord(a) {
+    return {
+      feedId: a.feedId,
+      feedName: a.feedName,
+      title: a.title,
+      link: a.link,
+      published: a.published,
+      description: a.description,
+      thumbnail: a.thumbnail,
+      author: a.author,
+      enclosures: a.enclosures || [],
+      commentsUrl: a.commentsUrl || "",
+      commentCount: a.commentCount ?? null,
+      score: a.score ?? null,
+      fetchedAt: a.fetchedAt || Date.now(),
+      firstSeenAt: a.firstSeenAt || 0,
+      fullArticle: a.fullArticle || null,
+      appliedRules: a.appliedRules || [],
+    };
+  }
+
+  function cacheArticles(list) {
+    const records = list.filter((a) => a.link).map(toCacheRecord);
+    idbPutMany("articles", records).catch((e) => console.warn("Article cache write failed:", e));
+  }
+
+  async function loadCachedArticles() {
+    let records;
+    try {
+      records = await idbGetAll("articles");
+    } catch (e) {
+      console.warn("Article cache unavailable:", e);
+      return;
+    }
+
+    const feedIds = new Set(feeds.map((f) => f.id));
+    const cutoff = Date.now() - CACHE_MAX_AGE_DAYS * 86400000;
+    const keep = [];
+    const stale = [];
+    for (const r of records) {
+      const pinned = isSaved(r.link) || hasHighlights(r.link);
+      if (pinned || (feedIds.has(r.feedId) && (r.fetchedAt || 0) >= cutoff)) keep.push(r);
+      else stale.push(r.link);
+    }
+    idbDeleteMany("articles", stale).catch(() => {});
+    backfillSaved(keep);
+
+    // Fresh results may already have arrived; they win over the cache
+    const known = new Set(articles.map((a) => a.link));
+    const cached = keep
+      .filter((r) => feedIds.has(r.feedId) && !known.has(r.link))
+      .map((r) => ({ ...r, parsedDate: parseDate(r.published) }));
+    if (!cached.length) return;
+
+    articles = articles.concat(cached);
+    clustersDirty = true;
+    applyRules(cached);
+    indexArticles(cached);
+    sortArticles();
+    renderArticles();
+    updateCounts();
+  }
+
+  // Merge freshly fetched items into `articles` in place, so objects already
+  // referenced (e.g. the selected article) stay valid and extracted full text
+  // from the cache is kept.
+  function mergeArticles(fresh) {
+    clustersDirty = true;
+    const byLink = new Map(articles.map((a) => [a.link, a]));
+    const now = Date.now();
+    const merged = [];
+    for (const item of fresh) {
+      const existing = item.link ? byLink.get(item.link) : null;
+      if (existing) {
+        Object.assign(existing, item, { fetchedAt: now });
+        merged.push(existing);
+      } else {
+        const added = { ...item, fetchedAt: now, firstSeenAt: item.firstSeenAt || now };
+        articles.push(added);
+        if (added.link) byLink.set(added.link, added);
+        merged.push(added);
+      }
+    }
+    applyRules(merged);
+    cacheArticles(merged);
+    backfillSaved(merged);
+    indexArticles(merged);
+    return merged;
+  }
+
+  // ── Saved articles ──
+  // Each saved article is a full snapshot, so it outlives the feed window
+  // (and the feed itself). Snapshots are only ever looked up by link.
+  function normalizeSavedList(list) {
+    const seen = new Set();
+    const result = [];
+    for (const item of Array.isArray(list) ? list : []) {
+      const snap = typeof item === "string"
+        ? { link: item, title: "", feedId: "", feedName: "", published: "", description: "", thumbnail: "", author: "", savedAt: Date.now(), fullArticle: null, stub: true }
+        : item && typeof item.link === "string" ? item : null;
+      if (!snap || !snap.link || seen.has(snap.link)) continue;
+      seen.add(snap.link);
+      result.push(snap);
+    }
+    return result;
+  }
+
+  function snapshotArticle(a) {
+    return {
+      link: a.link,
+      title: a.title,
+      feedId: a.feedId,
+      feedName: a.feedName,
+      published: a.published,
+      description: a.description,
+      thumbnail: a.thumbnail,
+      author: a.author,
+      enclosures: a.enclosures || [],
+      commentsUrl: a.commentsUrl || "",
+      commentCount: a.commentCount ?? null,
+      score: a.score ?? null,
+      savedAt: Date.now(),
+      fullArticle: a.fullArticle || null,
+    };
+  }
+
+  function findSaved(link) {
+    return savedArticles.find((s) => s.link === link) || null;
+  }
+
+  function isSaved(link) {
+    return Boolean(link) && savedArticles.some((s) => s.link === link);
+  }
+
+  function persistSaved() {
+    try {
+      localStorage.setItem("nr_saved", JSON.stringify(savedArticles));
+    } catch {
+      // Over quota: keep the metadata; full text is still in the article cache
+      save("saved", savedArticles.map(({ fullArticle, ...rest }) => rest));
+    }
+  }
+
+  function toggleSaved(article) {
+    if (!article || !article.link) return;
+    const snap = findSaved(article.link);
+    if (snap) {
+      if (((snap.tags && snap.tags.length) || snap.note) &&
+          !confirm("Unsave this article? Its tags and note will be removed too.")) {
+        return;
+      }
+      savedArticles = savedArticles.filter((s) => s.link !== article.link);
+    } else {
+      savedArticles.push({ ...snapshotArticle(article), tags: [], note: "" });
+    }
+    persistSaved();
+  }
+
+  // ── Tags & notes ──
+  // Tags are free-form labels on saved articles, compared case-insensitively.
+  // Each tag shows up in the sidebar as a virtual "tag:<name>" feed.
+  function normalizeTag(tag) {
+    return String(tag || "").replace(/^#+/, "").replace(/\s+/g, " ").trim();
+  }
+
+  function hasTag(snap, tag) {
+    const wanted = tag.toLowerCase();
+    return (snap.tags || []).some((t) => t.toLowerCase() === wanted);
+  }
+
+  function addTag(snap, tag) {
+    const name = normalizeTag(tag);
+    if (!name || hasTag(snap, name)) return false;
+    snap.tags = (snap.tags || []).concat(name);
+    return true;
+  }
+
+  function removeTag(snap, tag) {
+    const wanted = tag.toLowerCase();
+    snap.tags = (snap.tags || []).filter((t) => t.toLowerCase() !== wanted);
+  }
+
+  function getAllTags() {
+    const byKey = new Map();
+    for (const snap of savedArticles) {
+      for (const t of snap.tags || []) {
+        const key = t.toLowerCase();
+        if (!byKey.has(key)) byKey.set(key, { name: t, count: 0 });
+        byKey.get(key).count++;
+      }
+    }
+    return [...byKey.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  function onSavedChanged() {
+    persistSaved();
+    renderTagList();
+    updateSavedToolbar();
+    updateCounts();
+    if (activeFeed === "saved" || activeFeed.startsWith("tag:")) renderArticles();
+  }
+
+  function renderTagList() {
+    const list = $("nrTagList");
+    if (!list) return;
+    list.innerHTML = getAllTags()
+      .map(
+        (t) => `
+        <button class="nr-feed-btn nr-tag-btn${activeFeed === "tag:" + t.name ? " nr-feed-active" : ""}" data-feed="tag:${escapeHtml(t.name)}">
+          <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M20.59 13.41l-7.17 7.17a2 2 0 0 1-2.83 0L2 12V2h10l8.59 8.59a2 2 0 0 1 0 2.82z"/><line x1="7" y1="7" x2="7.01" y2="7"/></svg>
+          <span>${escapeHtml(t.name)}</span>
+          <span class="nr-feed-count">${t.count}</span>
+        </button>`
+      )
+      .join("");
+
+    list.querySelectorAll(".nr-feed-btn").forEach((btn) => {
+      btn.addEventListener("click", () => setActiveFeed(btn.dataset.feed));
+    });
+  }
+
+  function updateSavedToolbar() {
+    const bar = $("nrSavedToolbar");
+    if (!bar) return;
+    const show = isSavedView(activeFeed);
+    bar.style.display = show ? "flex" : "none";
+    if (!show) return;
+
+    const tagSelect = $("nrSavedTagFilter");
+    if (tagSelect) {
+      const current = activeFeed.startsWith("tag:") ? activeFeed.slice(4) : "";
+      tagSelect.innerHTML =
+        '<option value="">All tags</option>' +
+        getAllTags()
+          .map((t) => `<option value="${escapeHtml(t.name)}">#${escapeHtml(t.name)} (${t.count})</option>`)
+          .join("");
+      tagSelect.value = current;
+    }
+    const sortSelect = $("nrSavedSort");
+    if (sortSelect) sortSelect.value = savedSort;
+  }
+
+  // Tag chips and note editor shown above a saved article in the reading pane
+  function renderSavedPanel() {
+    const panel = $("nrSavedPanel");
+    if (!panel) return;
+    const snap = selectedArticle ? findSaved(selectedArticle.link) : null;
+    if (!snap) {
+      panel.style.display = "none";
+      panel.innerHTML = "";
+      return;
+    }
+
+    panel.style.display = "block";
+    panel.innerHTML = `
+      <div class="nr-saved-tags">
+        ${(snap.tags || [])
+          .map((t) => `<span class="nr-tag-chip">#${escapeHtml(t)}<button class="nr-tag-remove" data-tag="${escapeHtml(t)}" aria-label="Remove tag" title="Remove tag">×</button></span>`)
+          .join("")}
+        <input type="text" class="nr-tag-input" id="nrTagInput" placeholder="Add tag…" list="nrTagOptions" autocomplete="off" />
+        <datalist id="nrTagOptions">
+          ${getAllTags().filter((t) => !hasTag(snap, t.name)).map((t) => `<option value="${escapeHtml(t.name)}">`).join("")}
+        </datalist>
+      </div>
+      <textarea class="nr-note-input" id="nrSavedNote" rows="2" placeholder="Add a note…"></textarea>`;
+
+    panel.querySelectorAll(".nr-tag-remove").forEach((btn) => {
+      btn.addEventListener("click", () => {
+        removeTag(snap, btn.dataset.tag);
+        onSavedChanged();
+        renderSavedPanel();
+      });
+    });
+
+    const tagInput = $("nrTagInput");
+    if (tagInput) {
+      const commit = () => {
+        const added = tagInput.value.split(",").map((t) => addTag(snap, t)).some(Boolean);
+        tagInput.value = "";
+        if (!added) return;
+        onSavedChanged();
+        renderSavedPanel();
+        const next = $("nrTagInput");
+        if (next) next.focus();
+      };
+      tagInput.addEventListener("keydown", (e) => {
+        if (e.key === "Enter" || e.key === ",") {
+          e.preventDefault();
+          commit();
+        }
+      });
+      tagInput.addEventListener("change", () => {
+        // Picking a suggestion from the datalist
+        if (getAllTags().some((t) => t.name === tagInput.value)) commit();
+      });
+    }
+
+    const noteInput = $("nrSavedNote");
+    if (noteInput) {
+      noteInput.value = snap.note || "";
+      let debounce = null;
+      noteInput.addEventListener("input", () => {
+        clearTimeout(debounce);
+        debounce = setTimeout(() => {
+          snap.note = noteInput.value;
+          persistSaved();
+        }, 400);
+      });
+      noteInput.addEventListener("change", () => {
+        clearTimeout(debounce);
+        snap.note = noteInput.value;
+        onSavedChanged();
+      });
+    }
+  }
+
+  // Refresh snapshots from newer copies of the same article: fills in stubs
+  // from the pre-snapshot format and picks up extracted full text.
+  function backfillSaved(list) {
+    let changed = false;
+    for (const a of list) {
+      const snap = a.link ? findSaved(a.link) : null;
+      if (!snap) continue;
+      if (snap.stub) {
+        Object.assign(snap, snapshotArticle(a), { savedAt: snap.savedAt });
+        delete snap.stub;
+        changed = true;
+      }
+      if (!snap.fullArticle && a.fullArticle) {
+        snap.fullArticle = a.fullArticle;
+        changed = true;
+      }
+    }
+    if (changed) persistSaved();
+  }
+
+  function savedToArticle(snap) {
+    return {
+      ...snap,
+      title: snap.title || snap.link,
+      feedName: snap.feedName || new URL(snap.link, location.href).hostname,
+      parsedDate: parseDate(snap.published),
+    };
+  }
+
+  // ── Highlights ──
+  // Highlights are quotes kept per article link. They are found again by
+  // text (whitespace-insensitive) whenever the article is rendered, so they
+  // survive re-extraction as long as the quoted passage is unchanged.
+  function hasHighlights(link) {
+    return highlights.some((h) => h.link === link);
+  }
+
+  function addHighlight(article, text, comment) {
+    const hl = {
+      id: generateId(),
+      link: article.link,
+      title: article.title,
+      feedId: article.feedId,
+      feedName: article.feedName,
+      published: article.published,
+      text,
+      comment,
+      createdAt: Date.now(),
+    };
+    highlights.push(hl);
+    save("highlights", highlights);
+    updateCounts();
+    return hl;
+  }
+
+  function removeHighlight(id) {
+    highlights = highlights.filter((h) => h.id !== id);
+    save("highlights", highlights);
+    updateCounts();
+  }
+
+  function collapseSpace(str) {
+    return str.replace(/\s+/g, " ").trim();
+  }
+
+  const BLOCK_SELECTOR = "p, div, li, h1, h2, h3, h4, h5, h6, blockquote, pre, td, th, figcaption";
+
+  // Wrap the first occurrence of hl.text inside root in <mark> elements, one
+  // per text node it spans. Block boundaries count as whitespace so quotes
+  // that span paragraphs match what the selection produced.
+  function markHighlight(root, hl) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    const positions = []; // index in `text` → [node, offset], or null for a virtual space
+    let text = "";
+    let lastSpace = true;
+    let lastBlock = null;
+
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      const block = node.parentElement ? node.parentElement.closest(BLOCK_SELECTOR) : null;
+      if (block !== lastBlock && !lastSpace) {
+        text += " ";
+        positions.push(null);
+        lastSpace = true;
+      }
+      lastBlock = block;
+      const data = node.data;
+      for (let i = 0; i < data.length; i++) {
+        const isSpace = /\s/.test(data[i]);
+        if (isSpace && lastSpace) continue;
+        text += isSpace ? " " : data[i];
+        positions.push([node, i]);
+        lastSpace = isSpace;
+      }
+    }
+
+    const needle = collapseSpace(hl.text);
+    const start = needle ? text.indexOf(needle) : -1;
+    if (start < 0) return false;
+
+    const segments = new Map(); // node → [from, to)
+    for (let i = start; i < start + needle.length; i++) {
+      if (!positions[i]) continue;
+      const [node, offset] = positions[i];
+      const seg = segments.get(node);
+      if (seg) seg[1] = offset + 1;
+      else segments.set(node, [offset, offset + 1]);
+    }
+
+    segments.forEach(([from, to], node) => {
+      let target = node;
+      if (from > 0) target = target.splitText(from);
+      if (to - from < target.data.length) target.splitText(to - from);
+      const mark = document.createElement("mark");
+      mark.className = "nr-highlight";
+      mark.dataset.highlightId = hl.id;
+      if (hl.comment) mark.title = hl.comment;
+      target.parentNode.replaceChild(mark, target);
+      mark.appendChild(target);
+    });
+    return true;
+  }
+
+  function applyHighlights(bodyEl, link) {
+    const textEl = bodyEl ? bodyEl.querySelector(".nr-reading-text") : null;
+    if (!textEl) return;
+    highlights.filter((h) => h.link === link).forEach((h) => markHighlight(textEl, h));
+  }
+
+  // Articles with highlights, most recently highlighted first
+  function getHighlightedArticles() {
+    const live = new Map(articles.map((a) => [a.link, a]));
+    const latest = new Map();
+    for (const h of highlights) {
+      const prev = latest.get(h.link);
+      if (!prev || h.createdAt > prev.createdAt) latest.set(h.link, h);
+    }
+    return [...latest.values()]
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map((h) => {
+        if (live.has(h.link)) return live.get(h.link);
+        const snap = findSaved(h.link);
+        if (snap) return savedToArticle(snap);
+        return savedToArticle({ ...h, description: "", thumbnail: "", author: "" });
+      });
+  }
+
+  function highlightsToMarkdown() {
+    const lines = ["# Highlights", ""];
+    for (const a of getHighlightedArticles()) {
+      lines.push(`## [${a.title.replace(/([\[\]])/g, "\\$1")}](${a.link})`, "");
+      if (a.feedName) lines.push(`*${a.feedName}*`, "");
+      highlights
+        .filter((h) => h.link === a.link)
+        .sort((x, y) => x.createdAt - y.createdAt)
+        .forEach((h) => {
+          const paragraphs = h.text.split(/\n\s*\n/).map((p) => "> " + collapseSpace(p));
+          lines.push(paragraphs.join("\n>\n"), "");
+          if (h.comment) lines.push(h.comment, "");
+        });
+    }
+    return lines.join("\n");
+  }
+
+  function getReadingSelection() {
+    const sel = window.getSelection();
+    if (!sel || sel.isCollapsed || !sel.rangeCount || !selectedArticle) return null;
+    const range = sel.getRangeAt(0);
+    const node = range.commonAncestorContainer;
+    const el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    const textEl = el ? el.closest(".nr-reading-text") : null;
+    const bodyEl = $("nrReadingBody");
+    if (!textEl || !bodyEl || !bodyEl.contains(textEl)) return null;
+    const text = sel.toString().trim();
+    return text ? { range, text, textEl } : null;
+  }
+
+  // Highlight the current selection in the reading pane, asking for a comment
+  function highlightSelection() {
+    const btn = $("nrHighlightBtn");
+    if (btn) btn.style.display = "none";
+    const current = getReadingSelection();
+    if (!current) return;
+    const comment = prompt("Comment for this highlight (optional):", "");
+    if (comment === null) return;
+    const hl = addHighlight(selectedArticle, current.text, comment.trim());
+    window.getSelection().removeAllRanges();
+    markHighlight(current.textEl, hl);
+    if (activeFeed === "highlights") renderArticles();
+  }
+
+  function initHighlights() {
+    const btn = $("nrHighlightBtn");
+    if (!btn) return;
+
+    function hideButton() {
+      btn.style.display = "none";
+    }
+
+    let debounce = null;
+    document.addEventListener("selectionchange", () => {
+      clearTimeout(debounce);
+      debounce = setTimeout(() => {
+        const current = getReadingSelection();
+        if (!current) {
+          hideButton();
+          return;
+        }
+        const rect = current.range.getBoundingClientRect();
+        btn.style.display = "flex";
+        btn.style.top = Math.max(8, rect.top - btn.offsetHeight - 8) + "px";
+        btn.style.left = Math.max(8, rect.left + rect.width / 2 - btn.offsetWidth / 2) + "px";
+      }, 150);
+    });
+
+    // Keep the selection alive while clicking the button
+    btn.addEventListener("mousedown", (e) => e.preventDefault());
+
+    btn.addEventListener("click", highlightSelection);
+
+    const exportBtn = $("nrExportHighlights");
+    if (exportBtn) {
+      exportBtn.addEventListener("click", () => {
+        if (!highlights.length) {
+          alert("No highlights to export yet");
+          return;
+        }
+        downloadFile("vaultfeed-highlights.md", highlightsToMarkdown(), "text/markdown");
+      });
+    }
+  }
+
+  function compareSaved(x, y) {
+    if (savedSort === "savedAt") {
+      const diff = (x.snap.savedAt || 0) - (y.snap.savedAt || 0);
+      if (diff) return sortOrder === "oldest" ? diff : -diff;
+    } else if (savedSort === "source") {
+      const bySource = x.article.feedName.localeCompare(y.article.feedName);
+      if (bySource) return bySource;
+    }
+    return compareArticles(x.article, y.article);
+  }
+
+  // The Saved view (optionally narrowed to one tag), built from snapshots.
+  // Articles still in a feed are used as-is so their state stays shared.
+  function getSavedArticles(tag) {
+    const live = new Map(articles.map((a) => [a.link, a]));
+    return savedArticles
+      .filter((snap) => !tag || hasTag(snap, tag))
+      .map((snap) => ({ snap, article: live.get(snap.link) || savedToArticle(snap) }))
+      .sort(compareSaved)
+      .map((x) => x.article);
+  }
+
+  // ── Rules ──
+  // Rules run on every merge of fetched or cached articles. "hide" is a pure
+  // filter and is re-evaluated each time; the other actions change state, so
+  // each article records the rules that already acted on it (persisted with
+  // the article cache) and an unsave or unread by the user sticks.
+  const RULE_FIELDS = { title: "Title", description: "Description", author: "Author", feed: "Feed" };
+  const RULE_OPERATORS = {
+    contains: { label: "contains", type: "keyword", negate: false },
+    not_contains: { label: "doesn't contain", type: "keyword", negate: true },
+    regex: { label: "matches regex", type: "regex", negate: false },
+    not_regex: { label: "doesn't match regex", type: "regex", negate: true },
+  };
+  const RULE_ACTIONS = { hide: "Hide", read: "Mark as read", save: "Save", tag: "Save with tag" };
+  const ruleRegexCache = new Map();
+  const plainDescriptions = new WeakMap();
+
+  // Accepts "pattern" or "/pattern/flags"; matching is case-insensitive
+  // unless flags are given. Returns null for an invalid pattern.
+  function compileRuleRegex(source) {
+    if (ruleRegexCache.has(source)) return ruleRegexCache.get(source);
+    let re = null;
+    try {
+      const m = /^\/(.*)\/([a-z]*)$/s.exec(source);
+      re = m ? new RegExp(m[1], m[2].replace("g", "")) : new RegExp(source, "i");
+    } catch {
+      re = null;
+    }
+    ruleRegexCache.set(source, re);
+    return re;
+  }
+
+  function ruleFieldValue(a, field) {
+    if (field === "title") return a.title || "";
+    if (field === "author") return a.author || "";
+    if (field === "feed") return a.feedName || "";
+    if (field === "description") {
+      // Stripping markup is costly; reuse it until the description changes
+      const cached = plainDescriptions.get(a);
+      if (cached && cached.source === a.description) return cached.text;
+      const text = stripHtml(a.description);
+      plainDescriptions.set(a, { source: a.description, text });
+      return text;
+    }
+    return "";
+  }
+
+  function conditionMatches(cond, a) {
+    const value = ruleFieldValue(a, cond.field);
+    let hit;
+    if (cond.type === "regex") {
+      const re = compileRuleRegex(cond.value);
+      hit = re ? re.test(value) : false;
+    } else {
+      hit = value.toLowerCase().includes(String(cond.value).toLowerCase());
+    }
+    return cond.negate ? !hit : hit;
+  }
+
+  function ruleMatches(rule, a) {
+    if (!rule.conditions || !rule.conditions.length) return false;
+    return rule.match === "any"
+      ? rule.conditions.some((c) => conditionMatches(c, a))
+      : rule.conditions.every((c) => conditionMatches(c, a));
+  }
+
+  function applyRules(list) {
+    const active = rules.filter((r) => r.enabled !== false);
+    let savedChanged = false;
+    const readLinks = [];
+    const touched = [];
+
+    for (const a of list) {
+      a.hiddenByRule = false;
+      for (const rule of active) {
+        if (!ruleMatches(rule, a)) continue;
+        if (rule.action === "hide") {
+          a.hiddenByRule = true;
+          continue;
+        }
+        if (!a.link || (a.appliedRules || []).includes(rule.id)) continue;
+        a.appliedRules = (a.appliedRules || []).concat(rule.id);
+        touched.push(a);
+
+        if (rule.action === "read") {
+          readLinks.push(a.link);
+        } else if (rule.action === "save" || rule.action === "tag") {
+          let snap = findSaved(a.link);
+          if (!snap) {
+            snap = { ...snapshotArticle(a), tags: [], note: "" };
+            savedArticles.push(snap);
+            savedChanged = true;
+          }
+          if (rule.action === "tag" && rule.tag && addTag(snap, rule.tag)) savedChanged = true;
+        }
+      }
+    }
+
+    markRead(readLinks);
+    if (savedChanged) {
+      persistSaved();
+      renderTagList();
+    }
+    if (touched.length) cacheArticles(touched);
+  }
+
+  function isHiddenByRules(a) {
+    return rules.some((r) => r.enabled !== false && r.action === "hide" && ruleMatches(r, a));
+  }
+
+  function countRuleMatches(rule) {
+    return articles.filter((a) => ruleMatches(rule, a)).length;
+  }
+
+  function describeRule(rule) {
+    const conds = (rule.conditions || []).map((c) => {
+      const op = Object.keys(RULE_OPERATORS).find(
+        (k) => RULE_OPERATORS[k].type === c.type && RULE_OPERATORS[k].negate === Boolean(c.negate)
+      );
+      return `${RULE_FIELDS[c.field] || c.field} ${RULE_OPERATORS[op || "contains"].label} “${c.value}”`;
+    });
+    const action = rule.action === "tag" ? `${RULE_ACTIONS.tag} #${rule.tag}` : RULE_ACTIONS[rule.action];
+    return `${conds.join(rule.match === "any" ? " or " : " and ")} → ${action}`;
+  }
+
+  function onRulesChanged() {
+    save("rules", rules);
+    applyRules(articles);
+    renderRuleManager();
+    renderArticles();
+    updateCounts();
+  }
+
+  function renderRuleManager() {
+    const container = $("nrRuleManager");
+    if (!container) return;
+    if (!rules.length) {
+      container.innerHTML = '<div class="muted" style="font-size:12px;padding:4px;">No rules yet</div>';
+      return;
+    }
+
+    container.innerHTML = rules
+      .map(
+        (r) => `
+        <div class="nr-feed-manager-item nr-rule-item${r.enabled === false ? " nr-rule-disabled" : ""}">
+          <input type="checkbox" class="nr-rule-toggle" data-rule-id="${escapeHtml(r.id)}" title="Enable rule"${r.enabled === false ? "" : " checked"} />
+          <button class="nr-rule-edit" data-rule-id="${escapeHtml(r.id)}" title="${escapeHtml(describeRule(r))}">
+            <span class="nr-feed-manager-name">${escapeHtml(r.name || describeRule(r))}</span>
+            <span class="nr-rule-summary muted">${escapeHtml(describeRule(r))}</span>
+          </button>
+          <span class="nr-feed-count" title="Matching articles">${countRuleMatches(r)}</span>
+          <button class="nr-feed-manager-delete" data-rule-id="${escapeHtml(r.id)}" title="Delete rule"><svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg></button>
+        </div>`
+      )
+      .join("");
+
+    container.querySelectorAll(".nr-rule-toggle").forEach((box) => {
+      box.addEventListener("change", () => {
+        const rule = rules.find((r) => r.id === box.dataset.ruleId);
+        if (!rule) return;
+        rule.enabled = box.checked;
+        onRulesChanged();
+      });
+    });
+
+    container.querySelectorAll(".nr-rule-edit").forEach((btn) => {
+      btn.addEventListener("click", () => {
+        const rule = rules.find((r) => r.id === btn.dataset.ruleId);
+        if (rule) openRuleEditor(rule);
+      });
+    });
+
+    container.querySelectorAll(".nr-feed-manager-delete").forEach((btn) => {
+      btn.addEventListener("click", () => {
+        rules = rules.filter((r) => r.id !== btn.dataset.ruleId);
+        onRulesChanged();
+      });
+    });
+  }
+
+  // ── Rule editor modal ──
+  let ruleDraft = null; // copy of the rule being edited
+
+  function renderRuleConditions() {
+    const container = $("nrRuleConditions");
+    if (!container || !ruleDraft) return;
+
+    container.innerHTML = ruleDraft.conditions
+      .map((c, i) => {
+        const op = Object.keys(RULE_OPERATORS).find(
+          (k) => RULE_OPERATORS[k].type === c.type && RULE_OPERATORS[k].negate === Boolean(c.negate)
+        ) || "contains";
+        return `
+        <div class="nr-rule-condition" data-idx="${i}">
+          <select class="nr-select nr-rule-field">
+            ${Object.entries(RULE_FIELDS).map(([k, label]) => `<option value="${k}"${k === c.field ? " selected" : ""}>${label}</option>`).join("")}
+          </select>
+          <select class="nr-select nr-rule-op">
+            ${Object.entries(RULE_OPERATORS).map(([k, o]) => `<option value="${k}"${k === op ? " selected" : ""}>${o.label}</option>`).join("")}
+          </select>
+          <input type="text" class="nr-form-input nr-rule-value" value="${escapeHtml(c.value)}" placeholder="keyword or pattern" />
+          <button class="nr-feed-manager-delete nr-rule-remove-condition" title="Remove condition"><svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg></button>
+        </div>`;
+      })
+      .join("");
+
+    container.querySelectorAll(".nr-rule-condition").forEach((row) => {
+      const cond = ruleDraft.conditions[parseInt(row.dataset.idx)];
+      row.querySelector(".nr-rule-field").addEventListener("change", (e) => {
+        cond.field = e.target.value;
+      });
+      row.querySelector(".nr-rule-op").addEventListener("change", (e) => {
+        cond.type = RULE_OPERATORS[e.target.value].type;
+        cond.negate = RULE_OPERATORS[e.target.value].negate;
+      });
+      row.querySelector(".nr-rule-value").addEventListener("input", (e) => {
+        cond.value = e.target.value;
+      });
+      row.querySelector(".nr-rule-remove-condition").addEventListener("click", () => {
+        ruleDraft.conditions.splice(parseInt(row.dataset.idx), 1);
+        renderRuleConditions();
+      });
+    });
+  }
+
+  function openRuleEditor(rule) {
+    const overlay = $("nrRuleOverlay");
+    if (!overlay) return;
+    ruleDraft = rule
+      ? JSON.parse(JSON.stringify(rule))
+      : {
+          id: "",
+          name: "",
+          enabled: true,
+          match: "all",
+          conditions: [{ field: "title", type: "keyword", negate: false, value: "" }],
+          action: "hide",
+          tag: "",
+        };
+
+    $("nrRuleModalTitle").textContent = rule ? "Edit Rule" : "New Rule";
+    $("nrRuleName").value = ruleDraft.name;
+    $("nrRuleMatch").value = ruleDraft.match;
+    $("nrRuleAction").value = ruleDraft.action;
+    $("nrRuleTag").value = ruleDraft.tag || "";
+    $("nrRuleTag").style.display = ruleDraft.action === "tag" ? "block" : "none";
+    $("nrRuleError").textContent = "";
+    renderRuleConditions();
+    overlay.style.display = "flex";
+  }
+
+  function closeRuleEditor() {
+    const overlay = $("nrRuleOverlay");
+    if (overlay) overlay.style.display = "none";
+    ruleDraft = null;
+  }
+
+  function saveRuleDraft() {
+    if (!ruleDraft) return;
+    const errorEl = $("nrRuleError");
+    const conditions = ruleDraft.conditions
+      .map((c) => ({ ...c, value: String(c.value).trim() }))
+      .filter((c) => c.value);
+    const action = $("nrRuleAction").value;
+    const tag = normalizeTag($("nrRuleTag").value);
+
+    let error = "";
+    if (!conditions.length) error = "Add at least one condition with a value.";
+    const badRegex = conditions.find((c) => c.type === "regex" && !compileRuleRegex(c.value));
+    if (badRegex) error = `Invalid regular expression: ${badRegex.value}`;
+    if (action === "tag" && !tag) error = "Enter a tag name.";
+    if (error) {
+      if (errorEl) errorEl.textContent = error;
+      return;
+    }
+
+    ruleDraft.name = $("nrRuleName").value.trim();
+    ruleDraft.match = $("nrRuleMatch").value;
+    ruleDraft.action = action;
+    ruleDraft.tag = tag;
+    ruleDraft.conditions = conditions;
+
+    if (ruleDraft.id) {
+      // Edited rules act again on articles they already touched
+      const idx = rules.findIndex((r) => r.id === ruleDraft.id);
+      if (idx >= 0) rules[idx] = ruleDraft;
+      const oldId = ruleDraft.id;
+      ruleDraft.id = generateId();
+      articles.forEach((a) => {
+        if (a.appliedRules) a.appliedRules = a.appliedRules.filter((id) => id !== oldId);
+      });
+    } else {
+      ruleDraft.id = generateId();
+      rules.push(ruleDraft);
+    }
+    closeRuleEditor();
+    onRulesChanged();
+  }
+
+  function initRuleModal() {
+    const overlay = $("nrRuleOverlay");
+    if (!overlay) return;
+
+    const addBtn = $("nrAddRule");
+    if (addBtn) addBtn.addEventListener("click", () => openRuleEditor(null));
+
+    $("nrRuleClose").addEventListener("click", closeRuleEditor);
+    $("nrRuleCancel").addEventListener("click", closeRuleEditor);
+    $("nrRuleSave").addEventListener("click", saveRuleDraft);
+    overlay.addEventListener("click", (e) => {
+      if (e.target === overlay) closeRuleEditor();
+    });
+
+    $("nrRuleAddCondition").addEventListener("click", () => {
+      if (!ruleDraft) return;
+      ruleDraft.conditions.push({ field: "title", type: "keyword", negate: false, value: "" });
+      renderRuleConditions();
+    });
+
+    $("nrRuleAction").addEventListener("change", (e) => {
+      $("nrRuleTag").style.display = e.target.value === "tag" ? "block" : "none";
+    });
+  }
+
+  // ── Feed health ──
+  // Every fetch records its outcome per feed, so a dead feed shows up as a
+  // warning in the sidebar instead of silently listing zero articles.
+  // `errorType` is "network", "http" or "parse" as reported by /api/news,
+  // or "timeout" when the request was abandoned.
+  const ERROR_TYPE_LABELS = { network: "Network error", http: "HTTP error", parse: "Not a valid feed", timeout: "Timed out" };
+
+  function recordFeedSuccess(feed, items) {
+    const prev = feedHealth[feed.id] || {};
+    const now = Date.now();
+    feedHealth[feed.id] = {
+      lastAttempt: now,
+      lastSuccess: now,
+      lastError: "",
+      errorType: "",
+      status: null,
+      failures: 0,
+      itemsPerDay: estimateItemRate(items, prev.itemsPerDay),
+    };
+    save("feedHealth", feedHealth);
+  }
+
+  function recordFeedFailure(feed, message, errorType, status) {
+    const prev = feedHealth[feed.id] || {};
+    feedHealth[feed.id] = {
+      ...prev,
+      lastAttempt: Date.now(),
+      lastError: message,
+      errorType: errorType || "network",
+      status: status || null,
+      failures: (prev.failures || 0) + 1,
+    };
+    save("feedHealth", feedHealth);
+  }
+
+  // Items per day over the span of the returned items' publish dates,
+  // smoothed with the previous estimate
+  function estimateItemRate(items, previous) {
+    const times = items.map((a) => a.parsedDate.getTime()).filter((t) => t > 0).sort((x, y) => x - y);
+    if (times.length < 2) return previous || 0;
+    const days = Math.max((times[times.length - 1] - times[0]) / 86400000, 1 / 24);
+    const rate = (times.length - 1) / days;
+    return previous ? previous * 0.5 + rate * 0.5 : rate;
+  }
+
+  function isFeedFailing(feedId) {
+    const h = feedHealth[feedId];
+    return Boolean(h && h.failures > 0);
+  }
+
+  function describeFeedError(h) {
+    const label = ERROR_TYPE_LABELS[h.errorType] || "Error";
+    return `${label}${h.status ? ` (${h.status})` : ""}: ${h.lastError}`;
+  }
+
+  function formatItemRate(rate) {
+    if (!rate) return "—";
+    if (rate >= 1) return `${Math.round(rate)}/day`;
+    return `${Math.round(rate * 7 * 10) / 10}/week`;
+  }
+
+  // Forget health records and validators of feeds that were removed
+  function pruneFeedHealth() {
+    const ids = new Set(feeds.map((f) => f.id));
+    [["feedHealth", feedHealth], ["feedValidators", feedValidators]].forEach(([key, map]) => {
+      const stale = Object.keys(map).filter((id) => !ids.has(id));
+      stale.forEach((id) => delete map[id]);
+      if (stale.length) save(key, map);
+    });
+  }
+
+  function updateFeedHealthIndicators() {
+    feeds.forEach((f) => {
+      const el = $("nrWarn_" + f.id);
+      if (!el) return;
+      const failing = isFeedFailing(f.id);
+      el.style.display = failing ? "inline-flex" : "none";
+      el.title = failing
+        ? `${describeFeedError(feedHealth[f.id])} — ${feedHealth[f.id].failures} failed fetch${feedHealth[f.id].failures === 1 ? "" : "es"} in a row`
+        : "";
+    });
+  }
+
+  function renderFeedDiagnostics() {
+    const container = $("nrFeedDiagnostics");
+    if (!container) return;
+    if (!feeds.length) {
+      container.innerHTML = '<div class="muted" style="font-size:12px;padding:4px;">No feeds configured</div>';
+      return;
+    }
+
+    container.innerHTML = feeds
+      .map((f) => {
+        const h = feedHealth[f.id];
+        const failing = isFeedFailing(f.id);
+        const status = !h ? "Not fetched yet" : failing ? describeFeedError(h) : "OK";
+        const lastSuccess = h && h.lastSuccess ? formatTimeAgo(new Date(h.lastSuccess)) : "never";
+        return `
+        <div class="nr-diag-item${failing ? " nr-diag-failing" : ""}">
+          <div class="nr-diag-row">
+            <span class="nr-feed-manager-name" title="${escapeHtml(f.url)}">${escapeHtml(f.name)}</span>
+            <button class="nr-diag-retry" data-feed-id="${f.id}" title="Fetch this feed now">Retry</button>
+          </div>
+          <div class="nr-diag-status">${escapeHtml(status)}</div>
+          <div class="nr-diag-meta muted">
+            <span>Last success: ${lastSuccess}</span>
+            <span>Failures: ${h ? h.failures || 0 : 0}</span>
+            <span>Rate: ${formatItemRate(h && h.itemsPerDay)}</span>
+          </div>
+        </div>`;
+      })
+      .join("");
+
+    container.querySelectorAll(".nr-diag-retry").forEach((btn) => {
+      btn.addEventListener("click", async () => {
+        const feed = feeds.find((f) => f.id === btn.dataset.feedId);
+        if (!feed) return;
+        btn.disabled = true;
+        btn.textContent = "Retrying…";
+        await retryFeed(feed);
+      });
+    });
+  }
+
+  async function retryFeed(feed) {
+    const fresh = await fetchFeed(feed);
+    if (fresh.length) {
+      mergeArticles(fresh);
+      sortArticles();
+      renderArticles();
+      updateCounts();
+    }
+    updateFeedHealthIndicators();
+    renderFeedDiagnostics();
+  }
+
+  // ── Fetch feeds ──
+  // A refresh fetches at most FETCH_CONCURRENCY feeds at a time; each request
+  // is abandoned after FEED_TIMEOUT_MS, and the whole refresh can be
+  // cancelled through its AbortController.
+  const FETCH_CONCURRENCY = 6;
+  const FEED_TIMEOUT_MS = 20000;
+  let refreshController = null; // foreground refresh in progress
+  let progressHideTimer = null;
+
+  async function fetchFeed(feed, signal) {
+    const limit = load("articleLimit", 20);
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, FEED_TIMEOUT_MS);
+    const cancel = () => controller.abort();
+    if (signal) signal.addEventListener("abort", cancel);
+
+    try {
+      const params = new URLSearchParams({ url: feed.url, limit });
+      // Only ask for a conditional response while we still hold the items
+      const validators = feedValidators[feed.id];
+      if (validators && articles.some((a) => a.feedId === feed.id)) {
+        if (validators.etag) params.set("etag", validators.etag);
+        if (validators.modified) params.set("modified", validators.modified);
+      }
+      const res = await fetch(`/api/news?${params}`, { signal: controller.signal });
+      let data;
+      try {
+        data = await res.json();
+      } catch (e) {
+        if (controller.signal.aborted) throw e;
+        recordFeedFailure(feed, `Server responded with ${res.status}`, "http", res.status);
+        return [];
+      }
+
+      if (data.error) {
+        console.warn(`Feed error (${feed.name}):`, data.error);
+        recordFeedFailure(feed, data.error, data.error_type, data.status);
+        return [];
+      }
+
+      if (data.not_modified) {
+        recordFeedSuccess(feed, []);
+        return [];
+      }
+      if (data.etag || data.modified) {
+        feedValidators[feed.id] = { etag: data.etag || "", modified: data.modified || "" };
+      } else {
+        delete feedValidators[feed.id];
+      }
+      save("feedValidators", feedValidators);
+
+      const items = (data.items || []).map((item) => ({
+        feedId: feed.id,
+        feedName: feed.name,
+        title: item.title || "(no title)",
+        link: item.link || "",
+        published: item.published || "",
+        description: item.description || "",
+        thumbnail: item.thumbnail || "",
+        author: item.author || "",
+        enclosures: item.enclosures || [],
+        commentsUrl: item.comments_url || "",
+        commentCount: item.comment_count ?? null,
+        score: item.score ?? null,
+        parsedDate: parseDate(item.published),
+      }));
+      recordFeedSuccess(feed, items);
+      return items;
+    } catch (e) {
+      if (timedOut) {
+        recordFeedFailure(feed, `No response after ${FEED_TIMEOUT_MS / 1000}s`, "timeout");
+      } else if (!controller.signal.aborted) {
+        console.error(`Fetch error (${feed.name}):`, e);
+        recordFeedFailure(feed, e.message || String(e), "network");
+      }
+      return [];
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener("abort", cancel);
+    }
+  }
+
+  // Run `worker` over `items` with at most `limit` calls in flight
+  async function runQueue(items, limit, worker) {
+    let next = 0;
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+      while (next < items.length) await worker(items[next++]);
+    });
+    await Promise.all(runners);
+  }
+
+  function renderRefreshProgress(progress, finished = false) {
+    const el = $("nrRefreshProgress");
+    if (!el) return;
+    clearTimeout(progressHideTimer);
+    if (finished && !progress.failed.length) {
+      el.style.display = "none";
+      return;
+    }
+
+    const failed = progress.failed.length;
+    $("nrRefreshProgressText").textContent = finished
+      ? `${failed} of ${progress.total} feed${progress.total === 1 ? "" : "s"} failed to load`
+      : `Loading feeds ${progress.done}/${progress.total}${failed ? ` · ${failed} failed` : ""}`;
+    $("nrRefreshProgressBar").style.width = `${progress.total ? (progress.done / progress.total) * 100 : 100}%`;
+    $("nrRefreshStop").style.display = finished ? "none" : "";
+    el.title = failed ? "Failed: " + progress.failed.join(", ") : "";
+    el.classList.toggle("nr-refresh-progress-failed", Boolean(failed));
+    el.style.display = "flex";
+
+    if (finished) {
+      progressHideTimer = setTimeout(() => {
+        el.style.display = "none";
+      }, 6000);
+    }
+  }
+
+  function initRefreshProgress() {
+    const stopBtn = $("nrRefreshStop");
+    if (stopBtn) {
+      stopBtn.addEventListener("click", () => {
+        if (refreshController) refreshController.abort();
+      });
+    }
   }
 
   async function refreshAllFeeds() {
+    // Forget articles of feeds that no longer exist
+    const feedIds = new Set(feeds.map((f) => f.id));
+    articles = articles.filter((a) => feedIds.has(a.feedId));
+    pendingArticles = pendingArticles.filter((a) => feedIds.has(a.feedId));
+    clustersDirty = true;
+
     const articlesEl = $("nrArticles");
-    if (articlesEl) {
+    if (articlesEl && !articles.length) {
       articlesEl.innerHTML = '<div class="nr-loading">Loading feeds…</div>';
     }
 
-    const results = await Promise.all(feeds.map((f) => fetchFeed(f)));
-    articles = results.flat();
-    sortArticles();
-    renderArticles();
-    updateCounts();
+    mergePendingArticles();
+    await refreshFeeds(feeds);
+  }
+
+  // Fetch the given feeds and merge each into the list as soon as it arrives.
+  // Background refreshes only update articles already shown; new ones wait
+  // in `pendingArticles` so the list doesn't shift under the reader.
+  // A foreground refresh replaces (cancels) any earlier one and reports
+  // progress; background refreshes run quietly.
+  async function refreshFeeds(list, background = false) {
+    const controller = new AbortController();
+    const progress = { total: list.length, done: 0, failed: [] };
+    if (!background) {
+      if (refreshController) refreshController.abort();
+      refreshController = controller;
+      renderRefreshProgress(progress);
+    }
+
+    await runQueue(list, FETCH_CONCURRENCY, async (f) => {
+      if (controller.signal.aborted) return;
+      const fresh = await fetchFeed(f, controller.signal);
+      if (controller.signal.aborted) return;
+
+      progress.done++;
+      if (!fresh.length && isFeedFailing(f.id)) progress.failed.push(f.name);
+      if (!background) renderRefreshProgress(progress);
+      if (!fresh.length) return;
+
+      if (background && articles.length) {
+        holdNewArticles(fresh);
+        return;
+      }
+      mergeArticles(fresh);
+      sortArticles();
+      renderArticles();
+      updateCounts();
+    });
+
+    if (!background && refreshController === controller) {
+      refreshController = null;
+      renderRefreshProgress(progress, true);
+    }
+
+    pruneSearchIndex();
+    pruneFeedHealth();
+    sortArticles();
+    renderArticles();
+    updateCounts();
+    updateFeedHealthIndicators();
+    renderFeedDiagnostics();
+  }
+
+  function parseDate(dateStr) {
+    if (!dateStr) return new Date(0);
+    try {
+      const d = new Date(dateStr);
+      return isNaN(d.getTime()) ? new Date(0) : d;
+    } catch {
+      return new Date(0);
+    }
+  }
+
+  function compareArticles(a, b) {
+    const ta = a.parsedDate.getTime();
+    const tb = b.parsedDate.getTime();
+    return sortOrder === "oldest" ? ta - tb : tb - ta;
+  }
+
+  function sortArticles() {
+    articles.sort(compareArticles);
+  }
+
+  // ── New articles pill ──
+  function holdNewArticles(fresh) {
+    const known = new Set(articles.map((a) => a.link));
+    const existing = fresh.filter((a) => known.has(a.link));
+    if (existing.length) mergeArticles(existing);
+
+    const now = Date.now();
+    const pendingByLink = new Map(pendingArticles.map((a) => [a.link, a]));
+    fresh
+      .filter((a) => !known.has(a.link))
+      .forEach((a) => {
+        const held = pendingByLink.get(a.link);
+        pendingByLink.set(a.link, { ...a, firstSeenAt: held ? held.firstSeenAt : now });
+      });
+    pendingArticles = [...pendingByLink.values()];
+    updateNewArticlesPill();
+  }
+
+  function mergePendingArticles() {
+    if (!pendingArticles.length) return;
+    const pending = pendingArticles;
+    pendingArticles = [];
+    mergeArticles(pending);
+    sortArticles();
+    updateNewArticlesPill();
+  }
+
+  function updateNewArticlesPill() {
+    const pill = $("nrNewPill");
+    if (!pill) return;
+    const count = pendingArticles.filter((a) => !isHiddenByRules(a)).length;
+    pill.style.display = count ? "block" : "none";
+    pill.textContent = `${count} new article${count === 1 ? "" : "s"}`;
+  }
+
+  function initNewArticlesPill() {
+    const pill = $("nrNewPill");
+    if (!pill) return;
+    pill.addEventListener("click", () => {
+      mergePendingArticles();
+      renderArticles();
+      updateCounts();
+      const container = $("nrArticles");
+      if (container) container.scrollTop = 0;
+    });
+  }
+
+  function isNewSinceLastVisit(a) {
+    return Boolean(previousVisit && a.firstSeenAt > previousVisit);
+  }
+
+  // ── Duplicate clustering ──
+  // The same story from several feeds collapses into one card. Two articles
+  // are linked when their canonical URLs match, or when their titles are
+  // near-identical and they were published within two days of each other.
+  const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|dclid|mc_cid|mc_eid|ref|ref_src|cmpid|ocid|igshid|smid|_hsenc|_hsmi)$/i;
+  const TITLE_SIMILARITY = 0.6;
+  const DUPLICATE_WINDOW_MS = 2 * 86400000;
+  let clusters = new Map(); // link -> { members: [article] }, only for 2+ members
+  let clustersDirty = true;
+
+  function canonicalUrl(link) {
+    try {
+      const u = new URL(link);
+      const params = [...u.searchParams]
+        .filter(([key]) => !TRACKING_PARAMS.test(key))
+        .sort(([x], [y]) => x.localeCompare(y));
+      const query = new URLSearchParams(params).toString();
+      const host = u.hostname.toLowerCase().replace(/^(www|m|amp)\./, "");
+      const path = u.pathname.replace(/\/amp\/?$/, "").replace(/\/+$/, "");
+      return host + path + (query ? "?" + query : "");
+    } catch {
+      return link;
+    }
+  }
+
+  // Map each link in `list` to its cluster, for clusters of 2+ articles
+  function findClusters(list) {
+    const parent = new Map();
+    const find = (x) => {
+      while (parent.get(x) !== x) {
+        parent.set(x, parent.get(parent.get(x)));
+        x = parent.get(x);
+      }
+      return x;
+    };
+    const union = (x, y) => parent.set(find(x), find(y));
+    // Clusters are keyed by link, so articles without one stay ungrouped
+    const linked = list.filter((a) => a.link);
+    linked.forEach((a) => parent.set(a.link, a.link));
+
+    // Same canonical URL
+    const byUrl = new Map();
+    linked.forEach((a) => {
+      const key = canonicalUrl(a.link);
+      if (byUrl.has(key)) union(a.link, byUrl.get(key));
+      else byUrl.set(key, a.link);
+    });
+
+    // Similar titles from different feeds: only compare articles sharing an
+    // uncommon title word. One feed doesn't repeat a story, but it does post
+    // look-alikes such as "Ask HN: Who is hiring?" and "Who wants to be hired?"
+    const titleTokens = linked.map((a) => new Set(tokenize(a.title)));
+    const byToken = new Map();
+    titleTokens.forEach((tokens, i) => {
+      tokens.forEach((t) => {
+        if (!byToken.has(t)) byToken.set(t, []);
+        byToken.get(t).push(i);
+      });
+    });
+    titleTokens.forEach((tokens, i) => {
+      if (tokens.size < 3) return;
+      const shared = new Map();
+      tokens.forEach((t) => {
+        const others = byToken.get(t);
+        if (others.length > 50) return;
+        others.forEach((j) => {
+          if (j > i) shared.set(j, (shared.get(j) || 0) + 1);
+        });
+      });
+      shared.forEach((count, j) => {
+        const other = titleTokens[j];
+        if (other.size < 3 || linked[i].feedId === linked[j].feedId) return;
+        const similarity = count / (tokens.size + other.size - count);
+        const gap = Math.abs(linked[i].parsedDate.getTime() - linked[j].parsedDate.getTime());
+        if (similarity >= TITLE_SIMILARITY && gap <= DUPLICATE_WINDOW_MS) union(linked[i].link, linked[j].link);
+      });
+    });
+
+    const groups = new Map();
+    linked.forEach((a) => {
+      const root = find(a.link);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(a);
+    });
+
+    const result = new Map();
+    groups.forEach((members) => {
+      if (members.length < 2) return;
+      const cluster = { members: members.slice().sort((x, y) => x.parsedDate - y.parsedDate) };
+      members.forEach((a) => result.set(a.link, cluster));
+    });
+    return result;
   }
 
-  function parseDate(dateStr) {
-    if (!dateStr) return new Date(0);
-    try {
-      const d = new Date(dateStr);
-      return isNaN(d.getTime()) ? new Date(0) : d;
-    } catch {
-      return new Date(0);
-    }
+  function buildClusters() {
+    clusters = findClusters(articles);
+    clustersDirty = false;
   }
 
-  function sortArticles() {
-    articles.sort((a, b) => {
-      const ta = a.parsedDate.getTime();
-      const tb = b.parsedDate.getTime();
-      return sortOrder === "newest" ? tb - ta : ta - tb;
+  function getCluster(article) {
+    if (!groupDuplicates || !article) return null;
+    if (clustersDirty) buildClusters();
+    return clusters.get(article.link) || null;
+  }
+
+  // Keep the first article of each cluster in list order
+  function collapseDuplicates(list) {
+    const seen = new Set();
+    return list.filter((a) => {
+      const cluster = getCluster(a);
+      if (!cluster) return true;
+      if (seen.has(cluster)) return false;
+      seen.add(cluster);
+      return true;
+    });
+  }
+
+  // A card stands for its whole cluster, so it stays selected while another
+  // source is read from the switcher
+  function isSelectedCard(a) {
+    if (!selectedArticle) return false;
+    if (a === selectedArticle || (a.link && a.link === selectedArticle.link)) return true;
+    const cluster = getCluster(a);
+    return !!cluster && cluster === getCluster(selectedArticle);
+  }
+
+  function renderSourceSwitcher(article) {
+    const el = $("nrSourceSwitcher");
+    if (!el) return;
+    const cluster = getCluster(article);
+    if (!cluster) {
+      el.style.display = "none";
+      el.innerHTML = "";
+      return;
+    }
+
+    el.style.display = "flex";
+    el.innerHTML =
+      `<span class="nr-source-switcher-label">${cluster.members.length} sources:</span>` +
+      cluster.members
+        .map(
+          (m, i) => `
+          <button class="nr-source-chip${m.link === article.link ? " nr-source-chip-active" : ""}" data-idx="${i}" title="${escapeHtml(m.title)}">${escapeHtml(m.feedName)}</button>`
+        )
+        .join("");
+    el.querySelectorAll(".nr-source-chip").forEach((btn) => {
+      btn.addEventListener("click", () => {
+        const member = cluster.members[parseInt(btn.dataset.idx)];
+        if (member && member !== selectedArticle) selectArticle(member);
+      });
     });
   }
 
@@ -550,13 +2843,408 @@
     return result;
   }
 
+  // ── Full-text index ──
+  // An inverted index over titles, descriptions and any extracted full text,
+  // keyed by article link and ranked with BM25. Documents are (re)indexed as
+  // articles arrive, so fetching an article's full text makes it searchable.
+  const TITLE_WEIGHT = 3;
+  const BM25_K1 = 1.2;
+  const BM25_B = 0.75;
+  const STOP_WORDS = new Set(
+    "a an and are as at be but by for from has have he her his i in is it its of on or our she that the their them they this to was we were what when which who will with you your".split(" ")
+  );
+  const searchIndex = {
+    docs: new Map(), // link -> { terms: Map(term -> tf), length, hasFull, signature }
+    postings: new Map(), // term -> Map(link -> tf)
+    totalLength: 0,
+    version: 0,
+  };
+
+  // Porter stemmer (M. F. Porter, 1980)
+  const STEM_STEP2 = {
+    ational: "ate", tional: "tion", enci: "ence", anci: "ance", izer: "ize", bli: "ble",
+    alli: "al", entli: "ent", eli: "e", ousli: "ous", ization: "ize", ation: "ate",
+    ator: "ate", alism: "al", iveness: "ive", fulness: "ful", ousness: "ous",
+    aliti: "al", iviti: "ive", biliti: "ble", logi: "log",
+  };
+  const STEM_STEP3 = { icate: "ic", ative: "", alize: "al", iciti: "ic", ical: "ic", ful: "", ness: "" };
+  const STEM_C = "[^aeiou][^aeiouy]*";
+  const STEM_V = "[aeiouy][aeiou]*";
+  const STEM_MGR0 = new RegExp(`^(${STEM_C})?${STEM_V}${STEM_C}`);
+  const STEM_MEQ1 = new RegExp(`^(${STEM_C})?${STEM_V}${STEM_C}(${STEM_V})?$`);
+  const STEM_MGR1 = new RegExp(`^(${STEM_C})?${STEM_V}${STEM_C}${STEM_V}${STEM_C}`);
+  const STEM_HAS_V = new RegExp(`^(${STEM_C})?[aeiouy]`);
+  const STEM_CVC = new RegExp(`^${STEM_C}[aeiouy][^aeiouwxy]$`);
+
+  function stemWord(word) {
+    if (word.length < 3 || !/^[a-z]+$/.test(word)) return word;
+    let w = word[0] === "y" ? "Y" + word.slice(1) : word;
+    let m;
+
+    // Step 1a: plurals
+    if ((m = /^(.+?)(ss|i)es$/.exec(w))) w = m[1] + m[2];
+    else if ((m = /^(.+?)([^s])s$/.exec(w))) w = m[1] + m[2];
+
+    // Step 1b: -eed, -ed, -ing
+    if ((m = /^(.+?)eed$/.exec(w))) {
+      if (STEM_MGR0.test(m[1])) w = w.slice(0, -1);
+    } else if ((m = /^(.+?)(ed|ing)$/.exec(w)) && STEM_HAS_V.test(m[1])) {
+      w = m[1];
+      if (/(at|bl|iz)$/.test(w)) w += "e";
+      else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+      else if (STEM_CVC.test(w)) w += "e";
+    }
+
+    // Step 1c: -y
+    if ((m = /^(.+?)y$/.exec(w)) && STEM_HAS_V.test(m[1])) w = m[1] + "i";
+
+    // Steps 2 and 3: double and single suffixes
+    if ((m = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w)) && STEM_MGR0.test(m[1])) {
+      w = m[1] + STEM_STEP2[m[2]];
+    }
+    if ((m = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w)) && STEM_MGR0.test(m[1])) {
+      w = m[1] + STEM_STEP3[m[2]];
+    }
+
+    // Step 4: remaining suffixes
+    if ((m = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(w))) {
+      if (STEM_MGR1.test(m[1])) w = m[1];
+    } else if ((m = /^(.+?)(s|t)(ion)$/.exec(w)) && STEM_MGR1.test(m[1] + m[2])) {
+      w = m[1] + m[2];
+    }
+
+    // Step 5: final -e and -ll
+    if ((m = /^(.+?)e$/.exec(w)) && (STEM_MGR1.test(m[1]) || (STEM_MEQ1.test(m[1]) && !STEM_CVC.test(m[1])))) {
+      w = m[1];
+    }
+    if (/ll$/.test(w) && STEM_MGR1.test(w)) w = w.slice(0, -1);
+
+    return w[0] === "Y" ? "y" + w.slice(1) : w;
+  }
+
+  function tokenize(text) {
+    if (!text) return [];
+    return text
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter((t) => t.length > 1 && !STOP_WORDS.has(t))
+      .map(stemWord);
+  }
+
+  function articleFullText(a) {
+    return (a.fullArticle && a.fullArticle.text) || "";
+  }
+
+  function indexArticles(list) {
+    let changed = false;
+    for (const a of list) {
+      if (!a.link) continue;
+      const fullText = articleFullText(a);
+      const signature = `${a.title}|${(a.description || "").length}|${fullText.length}`;
+      const existing = searchIndex.docs.get(a.link);
+      if (existing && existing.signature === signature) continue;
+      // A copy without full text (e.g. a fresh feed item) doesn't replace a richer entry
+      if (existing && existing.hasFull && !fullText) continue;
+
+      if (existing) unindexArticle(a.link);
+      const terms = new Map();
+      tokenize(a.title).forEach((t) => terms.set(t, (terms.get(t) || 0) + TITLE_WEIGHT));
+      tokenize(ruleFieldValue(a, "description") + " " + fullText).forEach((t) => terms.set(t, (terms.get(t) || 0) + 1));
+
+      let length = 0;
+      terms.forEach((tf, term) => {
+        length += tf;
+        if (!searchIndex.postings.has(term)) searchIndex.postings.set(term, new Map());
+        searchIndex.postings.get(term).set(a.link, tf);
+      });
+      searchIndex.docs.set(a.link, { terms, length, hasFull: Boolean(fullText), signature });
+      searchIndex.totalLength += length;
+      changed = true;
+    }
+    if (changed) searchIndex.version++;
+  }
+
+  function unindexArticle(link) {
+    const doc = searchIndex.docs.get(link);
+    if (!doc) return;
+    doc.terms.forEach((tf, term) => {
+      const posting = searchIndex.postings.get(term);
+      if (!posting) return;
+      posting.delete(link);
+      if (!posting.size) searchIndex.postings.delete(term);
+    });
+    searchIndex.totalLength -= doc.length;
+    searchIndex.docs.delete(link);
+    searchIndex.version++;
+  }
+
+  // Drop documents that are neither loaded nor saved
+  function pruneSearchIndex() {
+    const keep = new Set(articles.map((a) => a.link));
+    savedArticles.forEach((s) => keep.add(s.link));
+    for (const link of [...searchIndex.docs.keys()]) {
+      if (!keep.has(link)) unindexArticle(link);
+    }
+  }
+
+  // Links containing every token of `text`, with their BM25 scores. The
+  // last token of a plain word also matches as a prefix, so results keep up
+  // with a half-typed query.
+  function lookupIndex(text, allowPrefix) {
+    const tokens = tokenize(text);
+    if (!tokens.length) return null;
+
+    const n = searchIndex.docs.size;
+    const avgLength = n ? searchIndex.totalLength / n : 1;
+    let result = null;
+
+    tokens.forEach((token, i) => {
+      const scores = new Map();
+      const terms = [token];
+      if (allowPrefix && i === tokens.length - 1 && token.length >= 3) {
+        for (const term of searchIndex.postings.keys()) {
+          if (term !== token && term.startsWith(token)) terms.push(term);
+        }
+      }
+      terms.forEach((term) => {
+        const posting = searchIndex.postings.get(term);
+        if (!posting) return;
+        const idf = Math.log(1 + (n - posting.size + 0.5) / (posting.size + 0.5));
+        const boost = term === token ? 1 : 0.5;
+        posting.forEach((tf, link) => {
+          const length = searchIndex.docs.get(link).length;
+          const score = (idf * tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + (BM25_B * length) / avgLength));
+          scores.set(link, (scores.get(link) || 0) + score * boost);
+        });
+      });
+
+      if (!result) {
+        result = scores;
+      } else {
+        for (const [link, score] of result) {
+          if (scores.has(link)) result.set(link, score + scores.get(link));
+          else result.delete(link);
+        }
+      }
+    });
+    return result;
+  }
+
+  // ── Search ──
+  // Query syntax: words and "quoted phrases" match the title, feed name and
+  // description; -term excludes; OR joins the terms on either side; field
+  // qualifiers are feed:, topic:, author:, title:, is:unread|read|saved|highlighted,
+  // after:YYYY-MM-DD and before:YYYY-MM-DD. A query parses into clauses that
+  // must all match, each holding one or more alternatives.
+  const SEARCH_FIELDS = ["feed", "topic", "author", "title", "is", "after", "before"];
+  const parsedSearches = new Map(); // query -> clauses, valid for one index version
+  let parsedSearchVersion = -1;
+
+  function parseSearchQuery(query) {
+    if (parsedSearchVersion !== searchIndex.version || parsedSearches.size > 50) {
+      parsedSearches.clear();
+      parsedSearchVersion = searchIndex.version;
+    }
+    if (parsedSearches.has(query)) return parsedSearches.get(query);
+
+    const clauses = [];
+    let joinNext = false;
+    const tokenRe = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+    let m;
+    while ((m = tokenRe.exec(query))) {
+      const [raw, minus, field, phrase, word] = m;
+      if (!minus && !field && word === "OR") {
+        if (clauses.length) joinNext = true;
+        continue;
+      }
+
+      const known = field && SEARCH_FIELDS.includes(field.toLowerCase());
+      let value = phrase !== undefined ? phrase : word;
+      if (field && !known) value = raw.slice(minus.length);
+      value = value.trim().toLowerCase();
+      if (!value) continue;
+
+      const term = { field: known ? field.toLowerCase() : null, value, negate: Boolean(minus) };
+      if (term.field === "after" || term.field === "before") {
+        const date = new Date(value);
+        if (isNaN(date.getTime())) continue;
+        term.time = date.getTime();
+      }
+      if (!term.field) {
+        term.phrase = phrase !== undefined;
+        term.scores = lookupIndex(value, !term.phrase);
+      }
+
+      if (joinNext) clauses[clauses.length - 1].push(term);
+      else clauses.push([term]);
+      joinNext = false;
+    }
+
+    parsedSearches.set(query, clauses);
+    return clauses;
+  }
+
+  function textTermMatches(term, a) {
+    const v = term.value;
+    if ((a.feedName || "").toLowerCase().includes(v)) return true;
+
+    // Articles the index hasn't seen yet fall back to a plain substring match
+    if (!term.scores || !searchIndex.docs.has(a.link)) {
+      return (
+        (a.title || "").toLowerCase().includes(v) ||
+        ruleFieldValue(a, "description").toLowerCase().includes(v) ||
+        articleFullText(a).toLowerCase().includes(v)
+      );
+    }
+    if (!term.scores.has(a.link)) return false;
+    if (!term.phrase) return true;
+
+    // Every word of the phrase is present; check they appear together
+    const words = v.split(/[^\p{L}\p{N}]+/u).filter(Boolean).join(" ");
+    return [a.title, ruleFieldValue(a, "description"), articleFullText(a)].some((text) =>
+      (text || "").toLowerCase().split(/[^\p{L}\p{N}]+/u).join(" ").includes(words)
+    );
+  }
+
+  function searchTermMatches(term, a) {
+    const v = term.value;
+    let hit;
+    switch (term.field) {
+      case "feed":
+        hit = a.feedId === v || (a.feedName || "").toLowerCase().includes(v);
+        break;
+      case "topic": {
+        const feed = feeds.find((f) => f.id === a.feedId);
+        hit = Boolean(feed) && (feed.topic || "Uncategorized").toLowerCase().includes(v);
+        break;
+      }
+      case "author":
+        hit = (a.author || "").toLowerCase().includes(v);
+        break;
+      case "title":
+        hit = (a.title || "").toLowerCase().includes(v);
+        break;
+      case "is":
+        if (v === "unread") hit = !isRead(a.link);
+        else if (v === "read") hit = isRead(a.link);
+        else if (v === "saved") hit = isSaved(a.link);
+        else if (v === "highlighted") hit = hasHighlights(a.link);
+        else hit = false;
+        break;
+      case "after":
+        hit = a.parsedDate.getTime() >= term.time;
+        break;
+      case "before":
+        hit = a.parsedDate.getTime() < term.time;
+        break;
+      default:
+        hit = textTermMatches(term, a);
+    }
+    return term.negate ? !hit : hit;
+  }
+
+  function matchesSearch(a, query) {
+    return parseSearchQuery(query).every((alternatives) => alternatives.some((t) => searchTermMatches(t, a)));
+  }
+
+  // BM25 relevance of an article for the words in a query
+  function searchScore(a, query) {
+    let score = 0;
+    parseSearchQuery(query).forEach((alternatives) => {
+      alternatives.forEach((t) => {
+        if (t.scores && !t.negate) score += t.scores.get(a.link) || 0;
+      });
+    });
+    return score;
+  }
+
+  // ── Saved searches ──
+  function findSavedSearch(id) {
+    return savedSearches.find((s) => s.id === id) || null;
+  }
+
+  function getSearchArticles(search) {
+    return articles.filter((a) => matchesSearch(a, search.query));
+  }
+
+  function saveCurrentSearch() {
+    if (!searchQuery) return;
+    const name = prompt("Name this search:", searchQuery);
+    if (name === null || !name.trim()) return;
+
+    const search = { id: generateId(), name: name.trim(), query: searchQuery };
+    savedSearches.push(search);
+    save("searches", savedSearches);
+    clearSearch();
+    renderSearchList();
+    setActiveFeed("search:" + search.id);
+  }
+
+  function deleteSavedSearch(id) {
+    const search = findSavedSearch(id);
+    if (!search || !confirm(`Delete the saved search "${search.name}"?`)) return;
+    savedSearches = savedSearches.filter((s) => s.id !== id);
+    save("searches", savedSearches);
+    renderSearchList();
+    if (activeFeed === "search:" + id) setActiveFeed("all");
+  }
+
+  function clearSearch() {
+    searchQuery = "";
+    ["nrSearch", "nrMobileSearchInput"].forEach((inputId) => {
+      const input = $(inputId);
+      if (input) input.value = "";
+    });
+    updateSaveSearchButtons();
+  }
+
+  function updateSaveSearchButtons() {
+    document.querySelectorAll(".nr-save-search-btn").forEach((btn) => {
+      btn.style.display = searchQuery ? "flex" : "none";
+    });
+  }
+
+  function renderSearchList() {
+    const list = $("nrSearchList");
+    if (!list) return;
+    list.innerHTML = savedSearches
+      .map(
+        (s) => `
+        <button class="nr-feed-btn nr-search-btn${activeFeed === "search:" + s.id ? " nr-feed-active" : ""}" data-feed="search:${escapeHtml(s.id)}" title="${escapeHtml(s.query)}">
+          <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="11" cy="11" r="8"/><line x1="21" y1="21" x2="16.65" y2="16.65"/></svg>
+          <span>${escapeHtml(s.name)}</span>
+          <span class="nr-search-delete" data-search-id="${escapeHtml(s.id)}" title="Delete saved search">✕</span>
+          <span class="nr-feed-count" id="nrSearchCount_${escapeHtml(s.id)}">0</span>
+        </button>`
+      )
+      .join("");
+
+    list.querySelectorAll(".nr-feed-btn").forEach((btn) => {
+      btn.addEventListener("click", () => setActiveFeed(btn.dataset.feed));
+    });
+    list.querySelectorAll(".nr-search-delete").forEach((el) => {
+      el.addEventListener("click", (e) => {
+        e.stopPropagation();
+        deleteSavedSearch(el.dataset.searchId);
+      });
+    });
+    updateCounts();
+  }
+
   // ── Render articles ──
   function getFilteredArticles() {
     let list = articles;
 
     // Filter by feed or topic
     if (activeFeed === "saved") {
-      list = list.filter((a) => savedArticles.includes(a.link));
+      list = getSavedArticles();
+    } else if (activeFeed.startsWith("tag:")) {
+      list = getSavedArticles(activeFeed.slice(4));
+    } else if (activeFeed === "highlights") {
+      list = getHighlightedArticles();
+    } else if (activeFeed.startsWith("search:")) {
+      const search = findSavedSearch(activeFeed.slice(7));
+      list = search ? getSearchArticles(search) : [];
     } else if (activeFeed.startsWith("topic:")) {
       const topicName = activeFeed.slice(6);
       const feedIds = getTopicFeedIds(topicName);
@@ -565,40 +3253,77 @@
       list = list.filter((a) => a.feedId === activeFeed);
     }
 
+    // Rule-hidden articles stay out of feed views (saved ones still show)
+    if (!isSavedView(activeFeed) && activeFeed !== "highlights") {
+      list = list.filter((a) => !a.hiddenByRule);
+    }
+
     // Filter by search
     if (searchQuery) {
-      const q = searchQuery.toLowerCase();
-      list = list.filter(
-        (a) =>
-          a.title.toLowerCase().includes(q) ||
-          a.feedName.toLowerCase().includes(q) ||
-          (a.description && a.description.toLowerCase().includes(q))
-      );
+      list = list.filter((a) => matchesSearch(a, searchQuery));
     }
 
     // Filter by unread
     if (showUnreadOnly) {
-      list = list.filter((a) => !readArticles.includes(a.link));
+      list = list.filter((a) => !isRead(a.link));
+    }
+
+    // One card per story in feed views
+    if (!isSavedView(activeFeed) && activeFeed !== "highlights") {
+      list = collapseDuplicates(list);
     }
 
-    // Interleave sources when viewing all feeds or a topic
-    if (activeFeed === "all" || activeFeed === "saved" || activeFeed.startsWith("topic:")) {
+    // Rank by relevance when there is a query to rank against
+    const queries = [searchQuery];
+    if (activeFeed.startsWith("search:")) {
+      const search = findSavedSearch(activeFeed.slice(7));
+      if (search) queries.push(search.query);
+    }
+    const query = queries.filter(Boolean).join(" ");
+    if (sortOrder === "relevance" && query) {
+      const scores = new Map(list.map((a) => [a.link, searchScore(a, query)]));
+      return list.slice().sort((a, b) => scores.get(b.link) - scores.get(a.link) || compareArticles(a, b));
+    }
+
+    // Interleave sources when viewing all feeds, a topic or a saved search
+    // (the Saved view has its own sort options)
+    if (activeFeed === "all" || activeFeed.startsWith("topic:") || activeFeed.startsWith("search:")) {
       list = interleaveBySource(list);
     }
 
     return list;
   }
 
+  // The list is virtualized: only cards in or near the viewport are in the
+  // DOM, between two spacers sized from measured card heights (a row of
+  // cards in grid view). One click handler on the container serves all cards.
+  const CARD_HEIGHT_ESTIMATE = 96;
+  const OVERSCAN_PX = 600;
+  let listArticles = []; // the filtered list being shown
+  const cardHeights = new Map(); // link -> measured height, including the row gap
+  let measuredWidth = 0;
+  let measuredGrid = false;
+  let listColumns = 1;
+  let rowOffsets = [0];
+  let listFrame = null;
+
   function renderArticles() {
     const container = $("nrArticles");
     if (!container) return;
 
     const filtered = getFilteredArticles();
+    listArticles = filtered;
 
     if (!filtered.length) {
       const msg =
         activeFeed === "saved"
           ? "No saved articles yet"
+          : activeFeed.startsWith("tag:")
+          ? "No saved articles with this tag"
+          : activeFeed === "highlights"
+          ? "No highlights yet — select text in an article to highlight it"
+          : activeFeed.startsWith("search:")
+          ? "No articles match this saved search"
           : searchQuery
           ? "No articles match your search"
           : "No articles found";
@@ -608,51 +3333,178 @@
     }
 
     container.classList.toggle("nr-grid-view", gridView);
+    if (!container.querySelector(".nr-virtual-window")) {
+      container.innerHTML =
+        '<div class="nr-virtual-spacer"></div><div class="nr-virtual-window"></div><div class="nr-virtual-spacer"></div>';
+    }
+    renderListWindow();
+  }
 
-    container.innerHTML = filtered
-      .map((a, i) => {
-        const isSelected = selectedArticle && selectedArticle.link === a.link;
-        const isRead = readArticles.includes(a.link);
-        const isSaved = savedArticles.includes(a.link);
-        const snippet = stripHtml(a.description).slice(0, 120);
-        const timeAgo = formatTimeAgo(a.parsedDate);
-        const readTime = estimateReadingTime(stripHtml(a.description));
+  function renderArticleCard(a, i) {
+    const cluster = getCluster(a);
+    const isSelected = isSelectedCard(a);
+    const read = isRead(a.link);
+    const snap = findSaved(a.link);
+    const snippet = stripHtml(a.description).slice(0, 120);
+    const timeAgo = formatTimeAgo(a.parsedDate);
+    const readTime = estimateReadingTime(stripHtml(a.description));
+    const media = primaryEnclosure(a);
+
+    return `
+    <div class="nr-article-card${isSelected ? " nr-article-selected" : ""}${read ? " nr-article-read" : ""}" data-idx="${i}">
+      <div class="nr-article-card-source">${escapeHtml(a.feedName)}${cluster && !isSavedView(activeFeed)
+        ? `<span class="nr-article-card-sources" title="${escapeHtml(cluster.members.map((m) => m.feedName).join(", "))}">+${cluster.members.length - 1} source${cluster.members.length > 2 ? "s" : ""}</span>`
+        : ""}</div>
+      <div class="nr-article-card-title">${escapeHtml(a.title)}</div>
+      ${snippet ? `<div class="nr-article-card-snippet">${escapeHtml(snippet)}</div>` : ""}
+      ${snap && snap.note ? `<div class="nr-article-card-note">${escapeHtml(snap.note.slice(0, 120))}</div>` : ""}
+      ${activeFeed === "highlights" ? renderHighlightQuotes(a.link) : ""}
+      <div class="nr-article-card-meta">
+        ${!read && isNewSinceLastVisit(a) ? '<span class="nr-article-card-new" title="New since your last visit">New</span>' : ""}
+        <span>${timeAgo}</span>
+        ${media
+          ? `<span class="nr-article-card-media">${media.kind === "video" ? "Video" : "Audio"}${media.duration ? " · " + formatDuration(media.duration) : ""}</span>`
+          : readTime ? `<span class="nr-article-card-readtime">${readTime}</span>` : ""}
+        ${a.score != null ? `<span class="nr-article-card-score">${a.score} point${a.score === 1 ? "" : "s"}</span>` : ""}
+        ${a.commentCount != null ? `<span class="nr-article-card-comments">${a.commentCount} comment${a.commentCount === 1 ? "" : "s"}</span>` : ""}
+        ${snap ? '<span class="nr-article-card-saved">★</span>' : ""}
+        ${snap && snap.tags && snap.tags.length
+          ? `<span class="nr-article-card-tags">${snap.tags.map((t) => "#" + escapeHtml(t)).join(" ")}</span>`
+          : ""}
+      </div>
+    </div>
+  `;
+  }
 
-        return `
-        <div class="nr-article-card${isSelected ? " nr-article-selected" : ""}${isRead ? " nr-article-read" : ""}" data-idx="${i}">
-          <div class="nr-article-card-source">${escapeHtml(a.feedName)}</div>
-          <div class="nr-article-card-title">${escapeHtml(a.title)}</div>
-          ${snippet ? `<div class="nr-article-card-snippet">${escapeHtml(snippet)}</div>` : ""}
-          <div class="nr-article-card-meta">
-            <span>${timeAgo}</span>
-            ${readTime ? `<span class="nr-article-card-readtime">${readTime}</span>` : ""}
-            ${isSaved ? '<span class="nr-article-card-saved">★</span>' : ""}
-          </div>
-        </div>
-      `;
-      })
+  function computeRowOffsets() {
+    const rows = Math.ceil(listArticles.length / listColumns);
+    rowOffsets = new Array(rows + 1);
+    rowOffsets[0] = 0;
+    for (let r = 0; r < rows; r++) {
+      let height = 0;
+      const rowEnd = Math.min((r + 1) * listColumns, listArticles.length);
+      for (let i = r * listColumns; i < rowEnd; i++) {
+        height = Math.max(height, cardHeights.get(listArticles[i].link) || CARD_HEIGHT_ESTIMATE);
+      }
+      rowOffsets[r + 1] = rowOffsets[r] + height;
+    }
+  }
+
+  // Index of the row containing `offset` px from the top of the list
+  function findRow(offset) {
+    let lo = 0;
+    let hi = rowOffsets.length - 2;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (rowOffsets[mid] <= offset) lo = mid;
+      else hi = mid - 1;
+    }
+    return lo;
+  }
+
+  function renderListWindow() {
+    const container = $("nrArticles");
+    const windowEl = container && container.querySelector(".nr-virtual-window");
+    if (!windowEl || !listArticles.length) return;
+
+    // Heights measured at another width or layout no longer apply
+    if (container.clientWidth !== measuredWidth || gridView !== measuredGrid) {
+      cardHeights.clear();
+      measuredWidth = container.clientWidth;
+      measuredGrid = gridView;
+    }
+
+    const style = getComputedStyle(windowEl);
+    const columns = gridView && style.gridTemplateColumns && style.gridTemplateColumns !== "none"
+      ? style.gridTemplateColumns.split(" ").length
+      : 1;
+    const rowGap = parseFloat(style.rowGap) || 0;
+    listColumns = columns;
+    computeRowOffsets();
+
+    const rows = rowOffsets.length - 1;
+    const viewport = container.clientHeight || window.innerHeight;
+    const first = findRow(Math.max(0, container.scrollTop - OVERSCAN_PX));
+    const last = Math.min(rows - 1, findRow(container.scrollTop + viewport + OVERSCAN_PX));
+    const start = first * columns;
+    const end = Math.min(listArticles.length, (last + 1) * columns);
+
+    windowEl.innerHTML = listArticles
+      .slice(start, end)
+      .map((a, j) => renderArticleCard(a, start + j))
       .join("");
 
-    // Click handlers
-    container.querySelectorAll(".nr-article-card").forEach((card) => {
-      card.addEventListener("click", () => {
-        const idx = parseInt(card.dataset.idx);
-        const a = filtered[idx];
-        if (a) selectArticle(a);
-      });
+    windowEl.querySelectorAll(".nr-article-card").forEach((card) => {
+      const a = listArticles[parseInt(card.dataset.idx)];
+      if (a && card.offsetHeight) cardHeights.set(a.link, card.offsetHeight + rowGap);
+    });
+    computeRowOffsets();
+
+    const [topSpacer, , bottomSpacer] = container.children;
+    topSpacer.style.height = `${rowOffsets[first]}px`;
+    bottomSpacer.style.height = `${rowOffsets[rows] - rowOffsets[last + 1]}px`;
+  }
+
+  function scheduleListWindow() {
+    if (listFrame) return;
+    listFrame = requestAnimationFrame(() => {
+      listFrame = null;
+      renderListWindow();
+    });
+  }
+
+  function initArticleList() {
+    const container = $("nrArticles");
+    if (!container) return;
+
+    container.addEventListener("scroll", scheduleListWindow, { passive: true });
+    window.addEventListener("resize", scheduleListWindow);
+
+    container.addEventListener("click", (e) => {
+      // Highlight delete buttons (Highlights view)
+      const deleteBtn = e.target.closest(".nr-highlight-delete");
+      if (deleteBtn) {
+        const id = deleteBtn.dataset.highlightId;
+        removeHighlight(id);
+        renderArticles();
+        if (selectedArticle) {
+          const bodyEl = $("nrReadingBody");
+          const mark = bodyEl && bodyEl.querySelectorAll(`mark[data-highlight-id="${id}"]`);
+          if (mark) mark.forEach((m) => m.replaceWith(...m.childNodes));
+        }
+        return;
+      }
+
+      const card = e.target.closest(".nr-article-card");
+      if (!card) return;
+      const a = listArticles[parseInt(card.dataset.idx)];
+      if (a) selectArticle(a);
     });
   }
 
+  function renderHighlightQuotes(link) {
+    return highlights
+      .filter((h) => h.link === link)
+      .sort((x, y) => x.createdAt - y.createdAt)
+      .map(
+        (h) => `
+        <blockquote class="nr-highlight-quote">
+          <span>${escapeHtml(h.text)}</span>
+          ${h.comment ? `<div class="nr-highlight-comment">${escapeHtml(h.comment)}</div>` : ""}
+          <button class="nr-highlight-delete" data-highlight-id="${escapeHtml(h.id)}" title="Remove highlight" aria-label="Remove highlight">×</button>
+        </blockquote>`
+      )
+      .join("");
+  }
+
   function selectArticle(article) {
     selectedArticle = article;
+    readingView = "article";
 
-    // Mark as read
-    if (!readArticles.includes(article.link)) {
-      readArticles.push(article.link);
-      // Keep read list manageable
-      if (readArticles.length > 500) readArticles = readArticles.slice(-300);
-      save("read", readArticles);
-    }
+    // Mark as read, along with the other copies of the story
+    const cluster = getCluster(article);
+    const links = cluster ? cluster.members.map((m) => m.link) : [article.link];
+    if (markRead(links)) updateCounts();
 
     renderArticles(); // update selection highlight
 
@@ -671,129 +3523,507 @@
     if (titleEl) titleEl.textContent = article.title;
     if (sourceEl) sourceEl.textContent = article.feedName;
     if (dateEl) dateEl.textContent = formatDate(article.parsedDate);
-    if (openEl) openEl.href = article.link;
+    if (openEl) openEl.href = articleHref(article.link) || "#";
 
-    // Bookmark button state
+    // Bookmark button state, tags and note
     updateBookmarkBtn();
+    renderSavedPanel();
+    renderSourceSwitcher(article);
+    renderReadingViewToggle(article);
 
     // Mobile: show reading pane
     const pane = $("nrReadingPane");
     if (pane) pane.classList.add("nr-pane-visible");
 
-    // Apply font size and reading width
-    applyFontSize();
-    applyReadingWidth();
+    // Apply font size, reading width and typography
+    applyFontSize();
+    applyReadingWidth();
+    applyTypography();
+
+    // Show RSS description immediately as a preview, then fetch full article
+    if (bodyEl) {
+      // Show thumbnail if available
+      const thumbHtml = heroImageHtml(safeUrl(article.thumbnail, article.link, IMAGE_SCHEMES));
+
+      // Show author if available
+      const authorHtml = article.author
+        ? `<div class="nr-reading-author">By ${escapeHtml(article.author)}</div>`
+        : "";
+
+      const previewHtml = article.description
+        ? sanitizeHtml(article.description, article.link)
+        : '<p class="nr-reading-muted">Loading full article…</p>';
+
+      bodyEl.innerHTML = thumbHtml + authorHtml + renderMediaPanel(article) +
+        '<div class="nr-reading-text">' + previewHtml + '</div>' +
+        '<div class="nr-reading-loading" id="nrArticleLoading">' +
+        '<div class="nr-loading-spinner"></div> Loading full article…</div>';
+      applyHighlights(bodyEl, article.link);
+
+      // Render cached full text straight away, otherwise fetch it
+      if (article.fullArticle) {
+        renderFullArticle(bodyEl, article, article.fullArticle);
+      } else if (article.link) {
+        fetchFullArticle(article.link, bodyEl, article);
+      }
+    }
+  }
+
+  async function fetchFullArticle(url, bodyEl, article) {
+    try {
+      const params = new URLSearchParams({ url });
+      const res = await fetch(`/api/article?${params}`);
+      const data = await res.json();
+
+      // Keep extracted text so the article can be read again offline
+      if (!data.error && hasArticleContent(data)) {
+        article.fullArticle = {
+          title: data.title || "",
+          authors: data.authors || [],
+          top_image: data.top_image || "",
+          text: data.text || "",
+          html: data.html || "",
+        };
+        cacheArticles([article]);
+        backfillSaved([article]);
+        indexArticles([article]);
+      }
+
+      // Only update if this article is still selected
+      if (!selectedArticle || selectedArticle.link !== url || readingView !== "article") return;
+
+      const loadingEl = $("nrArticleLoading");
+      if (loadingEl) loadingEl.remove();
+
+      if (data.error && !article.description) {
+        bodyEl.innerHTML +=
+          `<p class="nr-reading-muted">Could not load full article.</p>${readMoreLink(url)}`;
+        return;
+      }
+
+      renderFullArticle(bodyEl, article, data);
+    } catch (e) {
+      console.error("Article fetch error:", e);
+      const loadingEl = $("nrArticleLoading");
+      if (loadingEl) loadingEl.remove();
+
+      // Show RSS description as fallback on network error
+      if (!selectedArticle || selectedArticle.link !== url || readingView !== "article") return;
+      let fallback = "";
+      if (article.description) {
+        fallback += '<div class="nr-reading-text">' + sanitizeHtml(article.description, article.link) + '</div>';
+      }
+      fallback += `<p class="nr-reading-muted">Could not connect to fetch the full article.</p>`;
+      fallback += readMoreLink(url);
+      bodyEl.innerHTML += fallback;
+    }
+  }
+
+  // Feed-supplied links are only linked to when they are plain web URLs
+  function readMoreLink(url, label = "Read on original site") {
+    const href = articleHref(url);
+    return href
+      ? `<a href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer" class="nr-read-more-link">${label} →</a>`
+      : "";
+  }
+
+  function hasArticleContent(data) {
+    const hasFullText = data.text && data.text.trim().length > 80;
+    const hasHtml = data.html && data.html.trim().length > 80;
+    return Boolean(hasFullText || hasHtml);
+  }
+
+  // Build the reading pane from /api/article data (or its cached copy)
+  function renderFullArticle(bodyEl, article, data) {
+    const url = article.link;
+    const hasHtml = data.html && data.html.trim().length > 80;
+    const hasContent = hasArticleContent(data);
+
+    let html = "";
+
+    // Hero image – prefer the RSS thumbnail already shown in the preview;
+    // fall back to the image extracted by the backend.
+    html += heroImageHtml(safeUrl(article.thumbnail || data.top_image, url, IMAGE_SCHEMES));
+    html += renderMediaPanel(article);
+
+    // Authors
+    if (data.authors && data.authors.length) {
+      html += `<div class="nr-reading-author">By ${escapeHtml(data.authors.join(", "))}</div>`;
+    } else if (article.author) {
+      html += `<div class="nr-reading-author">By ${escapeHtml(article.author)}</div>`;
+    }
+
+    // Full article text as HTML paragraphs
+    if (hasContent) {
+      if (hasHtml) {
+        html += `<div class="nr-reading-text">${sanitizeHtml(data.html, url)}</div>`;
+      } else {
+        const paragraphs = data.text.split(/\n\n+/).filter(p => p.trim());
+        html += '<div class="nr-reading-text">' +
+          paragraphs.map(p => `<p>${escapeHtml(p.trim())}</p>`).join("") +
+          '</div>';
+      }
+    } else {
+      // Extraction failed or returned too little — show RSS description + explanation
+      if (article.description) {
+        html += '<div class="nr-reading-text">' + sanitizeHtml(article.description, url) + '</div>';
+        html += `<p class="nr-reading-muted" style="margin-top:16px;">Full article could not be extracted — the site may block automated reading. You can read the full version on the original site.</p>`;
+      } else {
+        html += `<p class="nr-reading-muted">Full article could not be extracted from this site.</p>`;
+      }
+    }
+
+    // Read more link (always shown)
+    html += readMoreLink(url);
+
+    bodyEl.innerHTML = html;
+    applyHighlights(bodyEl, article.link);
+  }
+
+  // ── Media enclosures ──
+  // Podcast and video episodes play in one player docked under the reading
+  // pane, so playback and the queue carry on while other articles are read.
+  // Positions are remembered per enclosure URL until the episode finishes.
+  const MEDIA_POSITIONS_MAX = 200;
+  const MEDIA_SAVE_INTERVAL_MS = 5000;
+  let mediaEl = null;
+  let lastPositionSave = 0;
+
+  function primaryEnclosure(a) {
+    const enc = (a.enclosures || []).find((e) => e.kind === "audio" || e.kind === "video");
+    return enc && safeUrl(enc.url) ? enc : null;
+  }
+
+  function episodeFromArticle(a) {
+    const enc = primaryEnclosure(a);
+    if (!enc) return null;
+    return {
+      url: safeUrl(enc.url),
+      type: enc.type || "",
+      kind: enc.kind,
+      title: a.title,
+      feedName: a.feedName,
+      link: a.link,
+      duration: enc.duration || 0,
+      length: enc.length || 0,
+    };
+  }
+
+  function formatDuration(seconds) {
+    const s = Math.round(seconds);
+    if (s < 60) return "<1 min";
+    const h = Math.floor(s / 3600);
+    const m = Math.floor((s % 3600) / 60);
+    return h ? `${h} h ${m} min` : `${m} min`;
+  }
+
+  function formatClock(seconds) {
+    const s = Math.floor(seconds);
+    const h = Math.floor(s / 3600);
+    const mm = String(Math.floor((s % 3600) / 60)).padStart(h ? 2 : 1, "0");
+    const ss = String(s % 60).padStart(2, "0");
+    return h ? `${h}:${mm}:${ss}` : `${mm}:${ss}`;
+  }
 
-    // Show RSS description immediately as a preview, then fetch full article
-    if (bodyEl) {
-      // Show thumbnail if available
-      const thumbHtml = article.thumbnail
-        ? `<img src="${escapeHtml(article.thumbnail)}" class="nr-reading-hero" alt="" />`
-        : "";
+  function formatBytes(bytes) {
+    if (!bytes) return "";
+    const units = ["B", "KB", "MB", "GB"];
+    let i = 0;
+    let n = bytes;
+    while (n >= 1024 && i < units.length - 1) {
+      n /= 1024;
+      i++;
+    }
+    return `${n.toFixed(i > 1 ? 1 : 0)} ${units[i]}`;
+  }
 
-      // Show author if available
-      const authorHtml = article.author
-        ? `<div class="nr-reading-author">By ${escapeHtml(article.author)}</div>`
-        : "";
+  function renderMediaPanel(article) {
+    const ep = episodeFromArticle(article);
+    if (!ep) return "";
+    const position = mediaPositions[ep.url];
+    const playing = nowPlaying && nowPlaying.url === ep.url;
+    const queued = mediaQueue.some((q) => q.url === ep.url);
+    const details = [
+      ep.kind === "video" ? "Video" : "Audio",
+      ep.duration ? formatDuration(ep.duration) : "",
+      formatBytes(ep.length),
+      position && !playing ? `resume at ${formatClock(position.time)}` : "",
+    ].filter(Boolean);
+    return `
+      <div class="nr-media-episode">
+        <div class="nr-media-episode-info">${escapeHtml(details.join(" · "))}</div>
+        <div class="nr-media-episode-actions">
+          <button class="nr-btn nr-btn-primary" data-media-action="play"${playing ? " disabled" : ""}>${playing ? "Playing" : position ? "Resume" : "Play"}</button>
+          <button class="nr-btn nr-btn-secondary" data-media-action="queue"${playing || queued ? " disabled" : ""}>${queued ? "Queued" : "Add to queue"}</button>
+        </div>
+      </div>`;
+  }
 
-      const previewHtml = article.description
-        ? sanitizeHtml(article.description)
-        : '<p class="nr-reading-muted">Loading full article…</p>';
+  function refreshMediaPanel() {
+    const panel = document.querySelector("#nrReadingBody .nr-media-episode");
+    if (panel && selectedArticle) panel.outerHTML = renderMediaPanel(selectedArticle);
+  }
 
-      bodyEl.innerHTML = thumbHtml + authorHtml +
-        '<div class="nr-reading-text">' + previewHtml + '</div>' +
-        '<div class="nr-reading-loading" id="nrArticleLoading">' +
-        '<div class="nr-loading-spinner"></div> Loading full article…</div>';
+  function saveMediaPosition(force) {
+    if (!mediaEl || !nowPlaying || !mediaEl.currentTime) return;
+    const now = Date.now();
+    if (!force && now - lastPositionSave < MEDIA_SAVE_INTERVAL_MS) return;
+    lastPositionSave = now;
+    mediaPositions[nowPlaying.url] = { time: mediaEl.currentTime, updatedAt: now };
+    const urls = Object.keys(mediaPositions);
+    if (urls.length > MEDIA_POSITIONS_MAX) {
+      urls
+        .sort((x, y) => mediaPositions[x].updatedAt - mediaPositions[y].updatedAt)
+        .slice(0, urls.length - MEDIA_POSITIONS_MAX)
+        .forEach((url) => delete mediaPositions[url]);
+    }
+    save("mediaPositions", mediaPositions);
+  }
 
-      // Fetch full article content from the backend
-      if (article.link) {
-        fetchFullArticle(article.link, bodyEl, article);
+  // Put `ep` in the player (or empty it when null). The element is rebuilt
+  // only when switching between audio and video.
+  function loadEpisode(ep, autoplay) {
+    saveMediaPosition(true);
+    nowPlaying = ep;
+    save("nowPlaying", nowPlaying);
+    const holder = $("nrMediaElement");
+    if (!ep) {
+      if (mediaEl) mediaEl.pause();
+      if (holder) holder.innerHTML = "";
+      mediaEl = null;
+      renderMediaBar();
+      return;
+    }
+    if (!mediaEl || mediaEl.localName !== ep.kind) {
+      if (mediaEl) mediaEl.pause();
+      mediaEl = document.createElement(ep.kind === "video" ? "video" : "audio");
+      mediaEl.controls = true;
+      mediaEl.preload = "metadata";
+      mediaEl.addEventListener("loadedmetadata", () => {
+        const position = nowPlaying && mediaPositions[nowPlaying.url];
+        if (position && position.time < mediaEl.duration - 5) mediaEl.currentTime = position.time;
+        mediaEl.playbackRate = playbackRate;
+      });
+      mediaEl.addEventListener("timeupdate", () => saveMediaPosition(false));
+      mediaEl.addEventListener("pause", () => saveMediaPosition(true));
+      mediaEl.addEventListener("ended", () => {
+        const finished = nowPlaying;
+        playNext();
+        if (finished) delete mediaPositions[finished.url];
+        save("mediaPositions", mediaPositions);
+      });
+      if (holder) {
+        holder.innerHTML = "";
+        holder.appendChild(mediaEl);
       }
     }
+    mediaEl.src = ep.url;
+    mediaEl.defaultPlaybackRate = playbackRate;
+    mediaEl.playbackRate = playbackRate;
+    if (autoplay) mediaEl.play().catch(() => {});
+    renderMediaBar();
   }
 
-  async function fetchFullArticle(url, bodyEl, article) {
-    try {
-      const params = new URLSearchParams({ url });
-      const res = await fetch(`/api/article?${params}`);
-      const data = await res.json();
+  function playEpisode(ep) {
+    mediaQueue = mediaQueue.filter((q) => q.url !== ep.url);
+    save("mediaQueue", mediaQueue);
+    loadEpisode(ep, true);
+  }
 
-      // Only update if this article is still selected
-      if (!selectedArticle || selectedArticle.link !== url) return;
+  function enqueueEpisode(ep) {
+    if ((nowPlaying && nowPlaying.url === ep.url) || mediaQueue.some((q) => q.url === ep.url)) return;
+    if (!nowPlaying) {
+      loadEpisode(ep, false);
+      return;
+    }
+    mediaQueue.push(ep);
+    save("mediaQueue", mediaQueue);
+    renderMediaBar();
+  }
 
-      const loadingEl = $("nrArticleLoading");
-      if (loadingEl) loadingEl.remove();
+  function playNext() {
+    const next = mediaQueue.shift() || null;
+    save("mediaQueue", mediaQueue);
+    loadEpisode(next, true);
+  }
 
-      // Check if we actually got meaningful content
-      const hasFullText = data.text && data.text.trim().length > 80;
-      const hasHtml = data.html && data.html.trim().length > 80;
-      const hasContent = hasFullText || hasHtml;
+  function renderMediaBar() {
+    const bar = $("nrMediaBar");
+    if (!bar) return;
+    bar.style.display = nowPlaying ? "" : "none";
+    const title = $("nrMediaTitle");
+    if (title && nowPlaying) {
+      title.textContent = nowPlaying.title;
+      title.title = `${nowPlaying.title} — ${nowPlaying.feedName}`;
+    }
+    const queueBtn = $("nrMediaQueueBtn");
+    if (queueBtn) queueBtn.textContent = `Up next (${mediaQueue.length})`;
+    const next = $("nrMediaNext");
+    if (next) next.disabled = !mediaQueue.length;
+    const list = $("nrMediaQueue");
+    if (list) {
+      list.innerHTML = mediaQueue.length
+        ? mediaQueue
+            .map((q, i) => `
+          <li data-idx="${i}">
+            <button class="nr-media-queue-play" title="Play now">${escapeHtml(q.title)}</button>
+            <span class="nr-media-queue-meta">${escapeHtml(q.feedName || "")}${q.duration ? " · " + formatDuration(q.duration) : ""}</span>
+            <button class="nr-media-queue-remove" title="Remove from queue">×</button>
+          </li>`)
+            .join("")
+        : '<li class="nr-media-queue-empty">Nothing queued</li>';
+    }
+    refreshMediaPanel();
+  }
 
-      if (data.error && !article.description) {
-        bodyEl.innerHTML +=
-          `<p class="nr-reading-muted">Could not load full article.</p>
-           <a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer" class="nr-read-more-link">Read on original site →</a>`;
-        return;
-      }
+  function initMediaPlayer() {
+    const bodyEl = $("nrReadingBody");
+    if (bodyEl) {
+      bodyEl.addEventListener("click", (e) => {
+        const btn = e.target.closest("[data-media-action]");
+        if (!btn || !selectedArticle) return;
+        const ep = episodeFromArticle(selectedArticle);
+        if (!ep) return;
+        if (btn.dataset.mediaAction === "play") playEpisode(ep);
+        else enqueueEpisode(ep);
+      });
+    }
 
-      // Build rich article HTML
-      let html = "";
+    const speed = $("nrMediaSpeed");
+    if (speed) {
+      speed.value = String(playbackRate);
+      speed.addEventListener("change", () => {
+        playbackRate = parseFloat(speed.value) || 1;
+        save("playbackRate", playbackRate);
+        if (mediaEl) {
+          mediaEl.defaultPlaybackRate = playbackRate;
+          mediaEl.playbackRate = playbackRate;
+        }
+      });
+    }
 
-      // Hero image – prefer the RSS thumbnail already shown in the preview;
-      // fall back to the image extracted by the backend.
-      const heroUrl = article.thumbnail || data.top_image;
-      if (heroUrl) {
-        html += `<img src="${escapeHtml(heroUrl)}" class="nr-reading-hero" alt="" />`;
-      }
+    const queueBtn = $("nrMediaQueueBtn");
+    const list = $("nrMediaQueue");
+    if (queueBtn && list) {
+      queueBtn.addEventListener("click", () => {
+        list.style.display = list.style.display === "none" ? "" : "none";
+      });
+      list.addEventListener("click", (e) => {
+        const item = e.target.closest("li[data-idx]");
+        if (!item) return;
+        const ep = mediaQueue[+item.dataset.idx];
+        if (e.target.closest(".nr-media-queue-remove")) {
+          mediaQueue.splice(+item.dataset.idx, 1);
+          save("mediaQueue", mediaQueue);
+          renderMediaBar();
+        } else if (e.target.closest(".nr-media-queue-play")) {
+          playEpisode(ep);
+        }
+      });
+    }
 
-      // Authors
-      if (data.authors && data.authors.length) {
-        html += `<div class="nr-reading-author">By ${escapeHtml(data.authors.join(", "))}</div>`;
-      } else if (article.author) {
-        html += `<div class="nr-reading-author">By ${escapeHtml(article.author)}</div>`;
-      }
+    const next = $("nrMediaNext");
+    if (next) next.addEventListener("click", playNext);
+    const close = $("nrMediaClose");
+    if (close) close.addEventListener("click", () => loadEpisode(null));
 
-      // Full article text as HTML paragraphs
-      if (hasContent) {
-        if (hasHtml) {
-          html += `<div class="nr-reading-text">${sanitizeHtml(data.html)}</div>`;
-        } else {
-          const paragraphs = data.text.split(/\n\n+/).filter(p => p.trim());
-          html += '<div class="nr-reading-text">' +
-            paragraphs.map(p => `<p>${escapeHtml(p.trim())}</p>`).join("") +
-            '</div>';
-        }
-      } else {
-        // Extraction failed or returned too little — show RSS description + explanation
-        if (article.description) {
-          html += '<div class="nr-reading-text">' + sanitizeHtml(article.description) + '</div>';
-          html += `<p class="nr-reading-muted" style="margin-top:16px;">Full article could not be extracted — the site may block automated reading. You can read the full version on the original site.</p>`;
-        } else {
-          html += `<p class="nr-reading-muted">Full article could not be extracted from this site.</p>`;
-        }
+    // Pick up where the last session left off, paused
+    window.addEventListener("pagehide", () => saveMediaPosition(true));
+    if (nowPlaying) loadEpisode(nowPlaying, false);
+    else renderMediaBar();
+  }
+
+  // ── Discussion threads ──
+  // Aggregator feeds such as Hacker News link both the story and its comment
+  // thread. /api/discussion returns Hacker News threads as a tree; any other
+  // comments page is extracted like an article.
+  const DISCUSSION_MAX_COMMENTS = 1000;
+  const discussionCache = new Map(); // comments url -> /api/discussion data
+
+  function renderReadingViewToggle(article) {
+    const el = $("nrReadingViewToggle");
+    if (!el) return;
+    const commentsUrl = safeUrl(article.commentsUrl);
+    el.style.display = commentsUrl ? "" : "none";
+    el.querySelectorAll(".nr-reading-view-toggle-btn").forEach((btn) => {
+      btn.classList.toggle("nr-reading-view-toggle-active", btn.dataset.view === readingView);
+      if (btn.dataset.view === "discussion") {
+        btn.textContent = article.commentCount != null ? `Discussion (${article.commentCount})` : "Discussion";
       }
+    });
+  }
 
-      // Read more link (always shown)
-      html += `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer" class="nr-read-more-link">Read on original site →</a>`;
+  // `url` is the thread's page, which relative links in comments point into
+  function renderComments(comments, url, budget) {
+    return comments
+      .map((c) => {
+        if (budget.left <= 0) return "";
+        budget.left--;
+        const when = formatTimeAgo(parseDate(c.created_at));
+        return `
+        <details class="nr-comment" open>
+          <summary class="nr-comment-meta">${c.author ? escapeHtml(c.author) : "[deleted]"}${when ? " · " + when : ""}</summary>
+          <div class="nr-comment-text">${sanitizeHtml(c.text, url)}</div>
+          ${c.children && c.children.length ? `<div class="nr-comment-replies">${renderComments(c.children, url, budget)}</div>` : ""}
+        </details>`;
+      })
+      .join("");
+  }
 
-      bodyEl.innerHTML = html;
-    } catch (e) {
-      console.error("Article fetch error:", e);
-      const loadingEl = $("nrArticleLoading");
-      if (loadingEl) loadingEl.remove();
+  async function showDiscussion(article) {
+    const bodyEl = $("nrReadingBody");
+    const url = safeUrl(article.commentsUrl);
+    if (!bodyEl || !url) return;
+    readingView = "discussion";
+    renderReadingViewToggle(article);
+    const stillShowing = () => selectedArticle === article && readingView === "discussion";
 
-      // Show RSS description as fallback on network error
-      if (!selectedArticle || selectedArticle.link !== url) return;
-      let fallback = "";
-      if (article.description) {
-        fallback += '<div class="nr-reading-text">' + sanitizeHtml(article.description) + '</div>';
+    bodyEl.innerHTML = '<p class="nr-reading-muted">Loading discussion…</p>';
+    try {
+      let data = discussionCache.get(url);
+      if (!data) {
+        const res = await fetch(`/api/discussion?${new URLSearchParams({ url })}`);
+        data = await res.json();
+        if (!data.error) discussionCache.set(url, data);
       }
-      fallback += `<p class="nr-reading-muted">Could not connect to fetch the full article.</p>`;
-      fallback += `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer" class="nr-read-more-link">Read on original site →</a>`;
-      bodyEl.innerHTML += fallback;
+      if (!stillShowing()) return;
+
+      if (data.error_type === "unsupported") {
+        const res = await fetch(`/api/article?${new URLSearchParams({ url })}`);
+        const page = await res.json();
+        if (!stillShowing()) return;
+        bodyEl.innerHTML = (hasArticleContent(page)
+          ? `<div class="nr-reading-text">${sanitizeHtml(page.html, url)}</div>`
+          : '<p class="nr-reading-muted">The discussion could not be extracted from this site.</p>') +
+          readMoreLink(url, "Open discussion");
+        return;
+      }
+      if (data.error) throw new Error(data.error);
+
+      const budget = { left: DISCUSSION_MAX_COMMENTS };
+      bodyEl.innerHTML = (data.comments.length
+        ? `<div class="nr-comments">${renderComments(data.comments, url, budget)}</div>`
+        : '<p class="nr-reading-muted">No comments yet.</p>') +
+        (budget.left <= 0 ? `<p class="nr-reading-muted">Showing the first ${DISCUSSION_MAX_COMMENTS} comments.</p>` : "") +
+        readMoreLink(url, "Open discussion");
+    } catch (e) {
+      if (!stillShowing()) return;
+      bodyEl.innerHTML = `<p class="nr-reading-muted">Could not load the discussion: ${escapeHtml(e.message)}</p>` +
+        readMoreLink(url, "Open discussion");
     }
   }
 
+  function initReadingViewToggle() {
+    const el = $("nrReadingViewToggle");
+    if (!el) return;
+    el.addEventListener("click", (e) => {
+      const btn = e.target.closest(".nr-reading-view-toggle-btn");
+      if (!btn || !selectedArticle || btn.dataset.view === readingView) return;
+      if (btn.dataset.view === "discussion") showDiscussion(selectedArticle);
+      else selectArticle(selectedArticle);
+    });
+  }
+
   // ── AI Summarization ──
   async function requestSummary() {
     if (!selectedArticle) return;
@@ -893,9 +4123,9 @@
   function updateBookmarkBtn() {
     const btn = $("nrBookmarkArticle");
     if (!btn || !selectedArticle) return;
-    const isSaved = savedArticles.includes(selectedArticle.link);
-    btn.classList.toggle("nr-bookmark-active", isSaved);
-    btn.title = isSaved ? "Unsave" : "Save";
+    const saved = isSaved(selectedArticle.link);
+    btn.classList.toggle("nr-bookmark-active", saved);
+    btn.title = saved ? "Unsave" : "Save";
   }
 
   // ── Counts ──
@@ -903,15 +4133,23 @@
     const allCount = $("nrCountAll");
     const savedCount = $("nrCountSaved");
 
-    if (allCount) allCount.textContent = articles.length;
-    if (savedCount)
-      savedCount.textContent = articles.filter((a) =>
-        savedArticles.includes(a.link)
-      ).length;
+    // Feed, topic and search badges count what is left to read
+    const unread = articles.filter((a) => !a.hiddenByRule && !isRead(a.link));
+    if (allCount) allCount.textContent = unread.length;
+    if (savedCount) savedCount.textContent = savedArticles.length;
+    const highlightsCount = $("nrCountHighlights");
+    if (highlightsCount) highlightsCount.textContent = highlights.length;
+
+    savedSearches.forEach((s) => {
+      const el = $("nrSearchCount_" + s.id);
+      if (el) el.textContent = unread.filter((a) => matchesSearch(a, s.query)).length;
+    });
 
+    const byFeed = new Map();
+    unread.forEach((a) => byFeed.set(a.feedId, (byFeed.get(a.feedId) || 0) + 1));
     feeds.forEach((f) => {
       const el = $("nrCount_" + f.id);
-      if (el) el.textContent = articles.filter((a) => a.feedId === f.id).length;
+      if (el) el.textContent = byFeed.get(f.id) || 0;
     });
 
     // Topic counts
@@ -919,12 +4157,73 @@
     topics.forEach((topic) => {
       const el = $("nrTopicCount_" + topic.name.replace(/\s+/g, "_"));
       if (el) {
-        const feedIds = topic.feeds.map((f) => f.id);
-        el.textContent = articles.filter((a) => feedIds.includes(a.feedId)).length;
+        el.textContent = topic.feeds.reduce((n, f) => n + (byFeed.get(f.id) || 0), 0);
       }
     });
   }
 
+  // ── Feed discovery ──
+  // /api/discover turns a page URL into candidate feed URLs; each candidate
+  // is then previewed through /api/news, which also supplies its title.
+  const PREVIEW_ITEMS = 3;
+
+  async function discoverFeeds(url) {
+    const res = await fetch(`/api/discover?${new URLSearchParams({ url })}`);
+    const data = await res.json().catch(() => ({ error: `Server responded with ${res.status}` }));
+    if (data.error) throw new Error(data.error);
+    return data.feeds || [];
+  }
+
+  const FEED_CHECK_LIMIT = 50; // the most /api/news will return
+
+  // Fetch a feed without subscribing to it. Failures come back as { error }.
+  async function checkFeed(url, limit = FEED_CHECK_LIMIT) {
+    try {
+      const res = await fetch(`/api/news?${new URLSearchParams({ url, limit })}`);
+      const data = await res.json().catch(() => ({ error: `Server responded with ${res.status}` }));
+      if (data.error) return { url, error: data.error, items: [] };
+      return { url, title: data.feed_title || "", warning: data.warning || "", items: data.items || [] };
+    } catch (e) {
+      return { url, error: e.message, items: [] };
+    }
+  }
+
+  async function previewFeed(candidate) {
+    const result = await checkFeed(candidate.url, PREVIEW_ITEMS);
+    if (result.error) return null;
+    return { url: candidate.url, title: result.title || candidate.title || "", items: result.items.slice(0, PREVIEW_ITEMS) };
+  }
+
+  function renderFeedCheck(result) {
+    if (result.error) {
+      return `
+        <div class="nr-feed-check-headline">This feed can't be added</div>
+        <div>${escapeHtml(result.error)}</div>
+        <div class="nr-feed-check-hint">If this is a website rather than a feed, try Find Feeds.</div>`;
+    }
+    const count = result.items.length;
+    if (!count) {
+      return `
+        <div class="nr-feed-check-headline">The feed has no items</div>
+        ${result.warning ? `<div>${escapeHtml(result.warning)}</div>` : ""}
+        <div class="nr-feed-check-hint">It may be new or broken. Add it anyway?</div>`;
+    }
+    const newest = result.items
+      .map((item) => parseDate(item.published))
+      .reduce((a, b) => (b > a ? b : a), new Date(0));
+    const summary = [
+      `${count}${count >= FEED_CHECK_LIMIT ? "+" : ""} item${count === 1 ? "" : "s"}`,
+      newest.getTime() ? `newest ${formatTimeAgo(newest)}` : "no dates",
+    ].join(" · ");
+    return `
+      <div class="nr-feed-check-headline">${escapeHtml(summary)}</div>
+      ${result.warning ? `<div>Warning: ${escapeHtml(result.warning)}</div>` : ""}
+      <ul class="nr-discover-items">
+        ${result.items.slice(0, PREVIEW_ITEMS).map((item) => `<li>${escapeHtml(item.title || "(no title)")}</li>`).join("")}
+      </ul>
+      ${result.warning ? `<div class="nr-feed-check-hint">The feed parsed with problems. Add it anyway?</div>` : ""}`;
+  }
+
   // ── Add Feed Modal ──
   function initAddFeedModal() {
     const overlay = $("nrModalOverlay");
@@ -936,9 +4235,125 @@
     const urlInput = $("nrFeedUrl");
     const topicInput = $("nrFeedTopic");
     const topicList = $("nrTopicSuggestions");
+    const discoverBtn = $("nrDiscoverBtn");
+    const results = $("nrDiscoverResults");
+    const checkPanel = $("nrFeedCheck");
 
     if (!overlay || !addBtn) return;
 
+    let candidates = [];
+    let discoverRun = 0;
+    let autoName = ""; // name we filled in, replaced when another feed is picked
+    let checked = null; // checkFeed() result for the URL in the box
+    let checkRun = 0;
+
+    function fillName(title) {
+      const currentName = (nameInput?.value || "").trim();
+      if (nameInput && title && (!currentName || currentName === autoName)) {
+        nameInput.value = title;
+        autoName = title;
+      }
+    }
+
+    function showFeedCheck(result) {
+      checked = result;
+      if (saveBtn) {
+        const doubtful = result && !result.error && (result.warning || !result.items.length);
+        saveBtn.textContent = doubtful ? "Add Anyway" : "Add Feed";
+        saveBtn.disabled = !!(result && result.error);
+      }
+      if (!checkPanel) return;
+      checkPanel.style.display = result ? "block" : "none";
+      checkPanel.className = "nr-feed-check" + (!result ? "" : result.error
+        ? " nr-feed-check-error"
+        : result.warning || !result.items.length ? " nr-feed-check-warning" : "");
+      checkPanel.innerHTML = result ? renderFeedCheck(result) : "";
+    }
+
+    async function runCheck(url) {
+      const run = ++checkRun;
+      showFeedCheck(null);
+      if (saveBtn) {
+        saveBtn.disabled = true;
+        saveBtn.textContent = "Checking…";
+      }
+      if (checkPanel) {
+        checkPanel.style.display = "block";
+        checkPanel.innerHTML = `<div class="nr-discover-status">Checking feed…</div>`;
+      }
+      const result = await checkFeed(url);
+      if (run !== checkRun) return null;
+      showFeedCheck(result);
+      fillName(result.title);
+      return result;
+    }
+
+    function showDiscoverStatus(message) {
+      if (!results) return;
+      results.style.display = message ? "flex" : "none";
+      results.innerHTML = message ? `<div class="nr-discover-status">${escapeHtml(message)}</div>` : "";
+    }
+
+    function renderCandidates() {
+      if (!results) return;
+      const selectedUrl = (urlInput?.value || "").trim();
+      results.style.display = "flex";
+      results.innerHTML = candidates
+        .map((c, i) => {
+          const subscribed = feeds.some((f) => f.url === c.url);
+          const classes = [
+            "nr-discover-candidate",
+            c.url === selectedUrl ? "nr-discover-selected" : "",
+            subscribed ? "nr-discover-subscribed" : "",
+          ].filter(Boolean).join(" ");
+          return `
+          <div class="${classes}" data-idx="${i}">
+            <div class="nr-discover-title">${escapeHtml(c.title || c.url)}${subscribed ? " (already added)" : ""}</div>
+            <div class="nr-discover-url">${escapeHtml(c.url)}</div>
+            ${c.items.length
+              ? `<ul class="nr-discover-items">${c.items.map((item) => `<li>${escapeHtml(item.title || "(no title)")}</li>`).join("")}</ul>`
+              : ""}
+          </div>`;
+        })
+        .join("");
+    }
+
+    function pickCandidate(c) {
+      if (urlInput) urlInput.value = c.url;
+      fillName(c.title);
+      renderCandidates();
+      runCheck(c.url);
+    }
+
+    async function runDiscovery() {
+      const url = (urlInput?.value || "").trim();
+      if (!url) {
+        alert("Enter a website or feed URL first");
+        return;
+      }
+      const run = ++discoverRun;
+      candidates = [];
+      showDiscoverStatus("Looking for feeds…");
+      let found;
+      try {
+        found = await discoverFeeds(url);
+      } catch (e) {
+        if (run === discoverRun) showDiscoverStatus(`Couldn't load that page: ${e.message}`);
+        return;
+      }
+      const previews = (await Promise.all(found.map(previewFeed))).filter(Boolean);
+      if (run !== discoverRun) return;
+
+      candidates = previews;
+      if (!candidates.length) {
+        showDiscoverStatus("No feeds found on that page");
+        return;
+      }
+      const fresh = candidates.filter((c) => !feeds.some((f) => f.url === c.url));
+      if (fresh.length === 1) pickCandidate(fresh[0]);
+      else renderCandidates();
+    }
+
     function populateTopicSuggestions() {
       if (!topicList) return;
       const topics = [...new Set(feeds.map((f) => f.topic || "Uncategorized"))].sort();
@@ -949,6 +4364,12 @@
       if (nameInput) nameInput.value = "";
       if (urlInput) urlInput.value = "";
       if (topicInput) topicInput.value = "";
+      candidates = [];
+      discoverRun++;
+      checkRun++;
+      autoName = "";
+      showDiscoverStatus("");
+      showFeedCheck(null);
       populateTopicSuggestions();
       overlay.style.display = "flex";
     }
@@ -965,24 +4386,48 @@
       if (e.target === overlay) closeModal();
     });
 
+    // Discovery
+    if (discoverBtn) discoverBtn.addEventListener("click", runDiscovery);
+    if (urlInput) {
+      // A check only holds for the URL it was run on
+      urlInput.addEventListener("input", () => {
+        checkRun++;
+        showFeedCheck(null);
+      });
+      urlInput.addEventListener("keydown", (e) => {
+        if (e.key === "Enter") {
+          e.preventDefault();
+          runDiscovery();
+        }
+      });
+    }
+    if (results) {
+      results.addEventListener("click", (e) => {
+        const el = e.target.closest(".nr-discover-candidate");
+        if (!el || el.classList.contains("nr-discover-subscribed")) return;
+        pickCandidate(candidates[+el.dataset.idx]);
+      });
+    }
+
     // Preset chips
     document.querySelectorAll(".nr-preset-chip").forEach((chip) => {
       chip.addEventListener("click", () => {
         if (nameInput) nameInput.value = chip.dataset.name;
         if (urlInput) urlInput.value = chip.dataset.url;
         if (topicInput && chip.dataset.topic) topicInput.value = chip.dataset.topic;
+        showDiscoverStatus("");
+        runCheck(chip.dataset.url);
       });
     });
 
     // Save
     if (saveBtn) {
       saveBtn.addEventListener("click", async () => {
-        const name = (nameInput?.value || "").trim();
         const url = (urlInput?.value || "").trim();
         const topic = (topicInput?.value || "").trim() || "Uncategorized";
 
-        if (!name || !url) {
-          alert("Please enter both a name and URL");
+        if (!url) {
+          alert("Please enter a feed URL");
           return;
         }
 
@@ -992,6 +4437,20 @@
           return;
         }
 
+        // Fetch the feed before subscribing. A broken feed is blocked; an
+        // empty or malformed one needs a second click on "Add Anyway".
+        if (!checked || checked.url !== url) {
+          const result = await runCheck(url);
+          if (!result || result.error || result.warning || !result.items.length) return;
+        }
+        if (checked.error) return;
+
+        const name = (nameInput?.value || "").trim();
+        if (!name) {
+          alert("Please enter a name for this feed");
+          return;
+        }
+
         const newFeed = { id: generateId(), name, url, topic };
         feeds.push(newFeed);
         save("feeds", feeds);
@@ -1001,7 +4460,7 @@
 
         // Fetch the new feed
         const newArticles = await fetchFeed(newFeed);
-        articles = articles.concat(newArticles);
+        mergeArticles(newArticles);
         sortArticles();
         renderArticles();
         updateCounts();
@@ -1013,29 +4472,233 @@
   function escapeHtml(str) {
     const div = document.createElement("div");
     div.textContent = str;
-    return div.innerHTML;
+    // textContent only escapes &, < and >; quotes matter inside attributes
+    return div.innerHTML.replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+  }
+
+  function escapeXml(str) {
+    return String(str)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&apos;");
+  }
+
+  function isHttpUrl(str) {
+    try {
+      const u = new URL(str);
+      return u.protocol === "http:" || u.protocol === "https:";
+    } catch {
+      return false;
+    }
+  }
+
+  function downloadFile(filename, data, type) {
+    const blob = new Blob([data], { type });
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(blob);
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 0);
+  }
+
+  // Parsed in an inert document: nothing in it loads or runs, unlike a
+  // detached <div> where <img onerror> still fires.
+  function parseHtml(html) {
+    return new DOMParser().parseFromString(html, "text/html");
   }
 
   function stripHtml(html) {
     if (!html) return "";
-    const div = document.createElement("div");
-    div.innerHTML = html;
-    return div.textContent || div.innerText || "";
+    return parseHtml(html).body.textContent || "";
   }
 
-  function sanitizeHtml(html) {
-    if (!html) return "";
-    // Basic sanitization: allow safe tags, strip scripts
-    const div = document.createElement("div");
-    div.innerHTML = html;
-    // Remove scripts and event handlers
-    div.querySelectorAll("script, style, iframe, object, embed").forEach((el) => el.remove());
-    div.querySelectorAll("*").forEach((el) => {
-      for (const attr of [...el.attributes]) {
-        if (attr.name.startsWith("on")) el.removeAttribute(attr.name);
+  // ── HTML sanitizer ──
+  // Descriptions and extracted articles are third-party HTML, so only the
+  // elements, attributes and URL schemes listed here survive. Unknown
+  // elements are unwrapped to their text; DROPPED_TAGS go with their content.
+  const ALLOWED_TAGS = new Set([
+    "a", "abbr", "b", "blockquote", "br", "caption", "cite", "code", "col", "colgroup",
+    "dd", "del", "details", "dfn", "div", "dl", "dt", "em", "figcaption", "figure",
+    "h1", "h2", "h3", "h4", "h5", "h6", "hr", "i", "img", "ins", "kbd", "li", "mark",
+    "ol", "p", "pre", "q", "s", "samp", "small", "span", "strong", "sub", "summary",
+    "sup", "table", "tbody", "td", "tfoot", "th", "thead", "time", "tr", "u", "ul", "var",
+  ]);
+  const DROPPED_TAGS = new Set([
+    "script", "style", "template", "noscript", "iframe", "frame", "frameset", "object",
+    "embed", "applet", "form", "input", "button", "select", "option", "textarea",
+    "head", "title", "meta", "link", "base", "canvas", "dialog",
+  ]);
+  const ALLOWED_ATTRS = {
+    "*": ["title", "lang", "dir"],
+    a: ["href"],
+    img: ["src", "alt", "width", "height"],
+    blockquote: ["cite"],
+    q: ["cite"],
+    del: ["cite", "datetime"],
+    ins: ["cite", "datetime"],
+    time: ["datetime"],
+    ol: ["start", "reversed", "type"],
+    td: ["colspan", "rowspan"],
+    th: ["colspan", "rowspan", "scope"],
+    col: ["span"],
+    colgroup: ["span"],
+    details: ["open"],
+  };
+  const URL_ATTRS = new Set(["href", "src", "cite"]);
+  const LINK_SCHEMES = ["http:", "https:", "mailto:"];
+  const IMAGE_SCHEMES = ["http:", "https:"];
+  const HTML_NS = "http://www.w3.org/1999/xhtml";
+
+  // Resolve `value` against `baseUrl` and return it only when its scheme is
+  // allowed. Raster data: images are accepted where images are.
+  function safeUrl(value, baseUrl, schemes = LINK_SCHEMES) {
+    if (!value || !String(value).trim()) return "";
+    let url;
+    try {
+      url = new URL(String(value).trim(), baseUrl || location.href);
+    } catch {
+      return "";
+    }
+    if (url.protocol === "data:") {
+      return schemes === IMAGE_SCHEMES && /^data:image\/(png|gif|jpe?g|webp|avif)[;,]/i.test(url.href) ? url.href : "";
+    }
+    return schemes.includes(url.protocol) ? url.href : "";
+  }
+
+  function sanitizeNode(node, baseUrl) {
+    for (const child of [...node.childNodes]) {
+      if (child.nodeType === Node.TEXT_NODE) continue;
+      if (child.nodeType !== Node.ELEMENT_NODE) {
+        child.remove(); // comments, processing instructions
+        continue;
+      }
+      const tag = child.localName;
+      // SVG and MathML are dropped outright; they are the usual carriers of
+      // script vectors and parser-confusion tricks
+      if (child.namespaceURI !== HTML_NS || DROPPED_TAGS.has(tag)) {
+        child.remove();
+        continue;
       }
+      sanitizeNode(child, baseUrl);
+      if (!ALLOWED_TAGS.has(tag)) {
+        child.replaceWith(...child.childNodes);
+        continue;
+      }
+
+      const allowed = ALLOWED_ATTRS["*"].concat(ALLOWED_ATTRS[tag] || []);
+      for (const attr of [...child.attributes]) {
+        if (!allowed.includes(attr.name)) {
+          child.removeAttribute(attr.name);
+        } else if (URL_ATTRS.has(attr.name)) {
+          const url = safeUrl(attr.value, baseUrl, tag === "img" ? IMAGE_SCHEMES : LINK_SCHEMES);
+          if (url) child.setAttribute(attr.name, attr.name === "href" ? stripTrackingParams(url) : url);
+          else child.removeAttribute(attr.name);
+        }
+      }
+      if (tag === "a") {
+        child.setAttribute("target", "_blank");
+        child.setAttribute("rel", "noopener noreferrer");
+      } else if (tag === "img") {
+        const src = child.getAttribute("src");
+        if (!src || isTrackingPixel(child, src)) child.remove();
+        else applyImageMode(child, src);
+      }
+    }
+  }
+
+  // `baseUrl` (usually the article link) resolves relative links and images
+  function sanitizeHtml(html, baseUrl) {
+    if (!html) return "";
+    const body = parseHtml(html).body;
+    sanitizeNode(body, baseUrl);
+    return body.innerHTML;
+  }
+
+  // ── Image privacy ──
+  // In "proxy" mode article images are fetched by the server through
+  // /api/image; in "block" mode each one is a placeholder until clicked.
+  // Tracking pixels are dropped and links lose their UTM-style parameters
+  // whatever the mode.
+
+  // Only campaign and click IDs: unlike TRACKING_PARAMS, which just compares
+  // links, this rewrites the ones the reader opens, where e.g. `ref` matters
+  const LINK_TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|dclid|gbraid|wbraid|msclkid|yclid|twclid|igshid|mc_cid|mc_eid|_hsenc|_hsmi)$/i;
+  const TRACKING_PIXEL_HOSTS = /(^|\.)(feedburner\.com|feedblitz\.com|feedsportal\.com|pixel\.wp\.com|stats\.wordpress\.com|doubleclick\.net|google-analytics\.com|googletagmanager\.com|scorecardresearch\.com|quantserve\.com|list-manage\.com|mc\.yandex\.ru|ct\.pinterest\.com|pixel\.quora\.com|analytics\.twitter\.com)$/i;
+
+  function isTrackingPixel(img, src) {
+    const width = img.getAttribute("width");
+    const height = img.getAttribute("height");
+    if (width !== null && height !== null && parseInt(width) <= 1 && parseInt(height) <= 1) return true;
+    try {
+      return TRACKING_PIXEL_HOSTS.test(new URL(src).hostname);
+    } catch {
+      return false;
+    }
+  }
+
+  function stripTrackingParams(href) {
+    try {
+      const u = new URL(href);
+      const tracking = [...u.searchParams.keys()].filter((key) => LINK_TRACKING_PARAMS.test(key));
+      if (!tracking.length) return href;
+      tracking.forEach((key) => u.searchParams.delete(key));
+      return u.href;
+    } catch {
+      return href;
+    }
+  }
+
+  // Where a feed-supplied article link may be opened, or "" when it can't
+  function articleHref(link) {
+    const href = safeUrl(link);
+    return href && stripTrackingParams(href);
+  }
+
+  function imageSrc(src) {
+    if (imageMode !== "proxy" || src.startsWith("data:")) return src;
+    return `/api/image?${new URLSearchParams({ url: src })}`;
+  }
+
+  // Point an <img> at its source according to imageMode, or swap it for a
+  // click-to-load placeholder
+  function applyImageMode(img, src) {
+    if (imageMode === "block" && !src.startsWith("data:")) {
+      const placeholder = img.ownerDocument.createElement("button");
+      placeholder.type = "button";
+      placeholder.className = "nr-blocked-image" + (img.classList.contains("nr-reading-hero") ? " nr-blocked-hero" : "");
+      placeholder.dataset.src = src;
+      placeholder.title = new URL(src).hostname;
+      placeholder.textContent = img.alt ? `Load image: ${img.alt}` : "Load image";
+      img.replaceWith(placeholder);
+      return;
+    }
+    img.setAttribute("src", imageSrc(src));
+    img.setAttribute("referrerpolicy", "no-referrer");
+  }
+
+  function heroImageHtml(src) {
+    if (!src) return "";
+    const doc = parseHtml('<img class="nr-reading-hero" alt="" />');
+    const img = doc.body.firstChild;
+    applyImageMode(img, src);
+    return doc.body.innerHTML;
+  }
+
+  function initImagePlaceholders() {
+    const bodyEl = $("nrReadingBody");
+    if (!bodyEl) return;
+    bodyEl.addEventListener("click", (e) => {
+      const placeholder = e.target.closest(".nr-blocked-image");
+      if (!placeholder) return;
+      const img = document.createElement("img");
+      img.src = placeholder.dataset.src;
+      img.alt = "";
+      img.referrerPolicy = "no-referrer";
+      if (placeholder.classList.contains("nr-blocked-hero")) img.className = "nr-reading-hero";
+      placeholder.replaceWith(img);
     });
-    return div.innerHTML;
   }
 
   function formatTimeAgo(date) {
@@ -1127,6 +4790,8 @@
     const smaller = $("nrFontSmaller");
     const larger = $("nrFontLarger");
     const widthBtn = $("nrWidthToggle");
+    const typographyBtn = $("nrTypographyToggle");
+    const typographyPanel = $("nrTypographyPanel");
 
     if (smaller) {
       smaller.addEventListener("click", () => {
@@ -1151,8 +4816,144 @@
         applyReadingWidth();
       });
     }
+    if (typographyBtn && typographyPanel) {
+      typographyBtn.addEventListener("click", () => {
+        const open = typographyPanel.style.display === "none";
+        typographyPanel.style.display = open ? "" : "none";
+        typographyBtn.classList.toggle("nr-width-active", open);
+        if (open) renderTypographyPanel();
+      });
+      typographyPanel.addEventListener("change", (e) => {
+        const feed = selectedArticle && feeds.find((f) => f.id === selectedArticle.feedId);
+        if (e.target.id === "nrTypographyFeedOnly") {
+          if (!feed) return;
+          if (e.target.checked) feed.typography = { ...typography };
+          else delete feed.typography;
+          save("feeds", feeds);
+          applyTypography();
+          return;
+        }
+        const key = e.target.dataset.typography;
+        if (key) setTypography(key, e.target.value, feed);
+      });
+    }
 
     applyReadingWidth();
+    applyTypography();
+  }
+
+  // ── Reader typography ──
+  // Profile-wide choices live in `typography`; a feed can carry a full copy
+  // in `feed.typography` that replaces them for its articles. Each choice
+  // maps to a class on the reading content (or pane, for the theme).
+  const TYPOGRAPHY_OPTIONS = {
+    font: { default: "Theme default", sans: "Sans-serif", serif: "Serif", mono: "Monospace", dyslexic: "Dyslexia-friendly" },
+    lineHeight: { compact: "Compact", normal: "Normal", relaxed: "Relaxed" },
+    paragraphSpacing: { compact: "Compact", normal: "Normal", relaxed: "Relaxed" },
+    align: { left: "Left", justify: "Justified" },
+    hyphenate: { off: "Off", on: "On" },
+    readingTheme: { app: "Match app", light: "Light", dark: "Dark", sepia: "Sepia" },
+  };
+  const TYPOGRAPHY_DEFAULTS = {
+    font: "default",
+    lineHeight: "normal",
+    paragraphSpacing: "normal",
+    align: "left",
+    hyphenate: "off",
+    readingTheme: "app",
+  };
+  const TYPOGRAPHY_LABELS = {
+    font: "Font",
+    lineHeight: "Line height",
+    paragraphSpacing: "Paragraph spacing",
+    align: "Alignment",
+    hyphenate: "Hyphenation",
+    readingTheme: "Theme",
+  };
+  const TYPOGRAPHY_CLASS_PREFIXES = {
+    font: "nr-font-",
+    lineHeight: "nr-leading-",
+    paragraphSpacing: "nr-spacing-",
+    align: "nr-align-",
+    hyphenate: "nr-hyphens-",
+    readingTheme: "nr-reader-",
+  };
+  const TYPOGRAPHY_SETTING_IDS = {
+    font: "nrReadingFont",
+    lineHeight: "nrLineHeight",
+    paragraphSpacing: "nrParagraphSpacing",
+    align: "nrTextAlign",
+    hyphenate: "nrHyphenate",
+    readingTheme: "nrReadingTheme",
+  };
+
+  // Keep only known keys with known values, e.g. from an imported backup
+  function cleanTypography(value) {
+    const result = {};
+    if (!value || typeof value !== "object") return result;
+    for (const [key, choices] of Object.entries(TYPOGRAPHY_OPTIONS)) {
+      if (Object.hasOwn(choices, value[key])) result[key] = value[key];
+    }
+    return result;
+  }
+
+  function currentTypography() {
+    const feed = selectedArticle && feeds.find((f) => f.id === selectedArticle.feedId);
+    return feed && feed.typography ? { ...typography, ...feed.typography } : typography;
+  }
+
+  function setTypography(key, value, feed) {
+    if (!Object.hasOwn(TYPOGRAPHY_OPTIONS[key] || {}, value)) return;
+    if (feed && feed.typography) {
+      feed.typography[key] = value;
+      save("feeds", feeds);
+    } else {
+      typography[key] = value;
+      save("typography", typography);
+      const select = $(TYPOGRAPHY_SETTING_IDS[key]);
+      if (select) select.value = value;
+    }
+    applyTypography();
+  }
+
+  function applyTypography() {
+    const settings = currentTypography();
+    const content = $("nrReadingContent");
+    const pane = $("nrReadingPane");
+    for (const [key, prefix] of Object.entries(TYPOGRAPHY_CLASS_PREFIXES)) {
+      const el = key === "readingTheme" ? pane : content;
+      if (!el) continue;
+      Object.keys(TYPOGRAPHY_OPTIONS[key]).forEach((value) => {
+        el.classList.toggle(prefix + value, settings[key] === value);
+      });
+    }
+    const panel = $("nrTypographyPanel");
+    if (panel && panel.style.display !== "none") renderTypographyPanel();
+  }
+
+  function renderTypographyPanel() {
+    const panel = $("nrTypographyPanel");
+    if (!panel) return;
+    const feed = selectedArticle && feeds.find((f) => f.id === selectedArticle.feedId);
+    const settings = currentTypography();
+    const rows = Object.entries(TYPOGRAPHY_OPTIONS)
+      .map(([key, choices]) => `
+        <label class="nr-typography-row">
+          <span>${TYPOGRAPHY_LABELS[key]}</span>
+          <select class="nr-select" data-typography="${key}">
+            ${Object.entries(choices)
+              .map(([value, label]) => `<option value="${value}"${settings[key] === value ? " selected" : ""}>${label}</option>`)
+              .join("")}
+          </select>
+        </label>`)
+      .join("");
+    panel.innerHTML = `
+      <div class="nr-typography-grid">${rows}</div>
+      ${feed ? `
+        <label class="nr-typography-scope">
+          <input type="checkbox" id="nrTypographyFeedOnly"${feed.typography ? " checked" : ""} />
+          Use these settings only for ${escapeHtml(feed.name)}
+        </label>` : ""}`;
   }
 
   // ── Estimated reading time ──
@@ -1199,15 +5000,14 @@
 
     if (markBtn) {
       markBtn.addEventListener("click", () => {
-        const filtered = getFilteredArticles();
-        filtered.forEach((a) => {
-          if (!readArticles.includes(a.link)) {
-            readArticles.push(a.link);
-          }
+        // Collapsed duplicates go with the card that stands in for them
+        const links = [];
+        getFilteredArticles().forEach((a) => {
+          const cluster = getCluster(a);
+          if (cluster) cluster.members.forEach((m) => links.push(m.link));
+          else links.push(a.link);
         });
-        // Keep read list manageable
-        if (readArticles.length > 500) readArticles = readArticles.slice(-300);
-        save("read", readArticles);
+        markRead(links);
         renderArticles();
         updateCounts();
       });
@@ -1244,6 +5044,7 @@
           // Sync mobile search
           const mobileInput = $("nrMobileSearchInput");
           if (mobileInput) mobileInput.value = searchQuery;
+          updateSaveSearchButtons();
           renderArticles();
         }, 200);
       });
@@ -1259,11 +5060,17 @@
           searchQuery = mobileSearchInput.value.trim();
           // Sync desktop search
           if (searchInput) searchInput.value = searchQuery;
+          updateSaveSearchButtons();
           renderArticles();
         }, 200);
       });
     }
 
+    // Save the current query as a smart feed
+    document.querySelectorAll(".nr-save-search-btn").forEach((btn) => {
+      btn.addEventListener("click", saveCurrentSearch);
+    });
+
     // Mobile search toggle
     const mobileSearchToggle = $("nrMobileSearchToggle");
     const mobileSearchBar = $("nrMobileSearch");
@@ -1355,21 +5162,35 @@
     if (bookmarkBtn) {
       bookmarkBtn.addEventListener("click", () => {
         if (!selectedArticle) return;
-        const idx = savedArticles.indexOf(selectedArticle.link);
-        if (idx >= 0) {
-          savedArticles.splice(idx, 1);
-        } else {
-          savedArticles.push(selectedArticle.link);
-        }
-        save("saved", savedArticles);
+        toggleSaved(selectedArticle);
         updateBookmarkBtn();
+        renderSavedPanel();
+        renderTagList();
+        updateSavedToolbar();
         updateCounts();
         renderArticles();
       });
     }
 
-    // Sidebar "All" and "Saved" buttons
-    document.querySelectorAll('.nr-feed-btn[data-feed="all"], .nr-feed-btn[data-feed="saved"]').forEach((btn) => {
+    // Saved view toolbar: tag filter and sort
+    const savedTagFilter = $("nrSavedTagFilter");
+    if (savedTagFilter) {
+      savedTagFilter.addEventListener("change", () => {
+        setActiveFeed(savedTagFilter.value ? "tag:" + savedTagFilter.value : "saved");
+      });
+    }
+    const savedSortSelect = $("nrSavedSort");
+    if (savedSortSelect) {
+      savedSortSelect.value = savedSort;
+      savedSortSelect.addEventListener("change", () => {
+        savedSort = savedSortSelect.value;
+        save("savedSort", savedSort);
+        renderArticles();
+      });
+    }
+
+    // Sidebar "All", "Saved" and "Highlights" buttons
+    document.querySelectorAll('.nr-feed-btn[data-feed="all"], .nr-feed-btn[data-feed="saved"], .nr-feed-btn[data-feed="highlights"]').forEach((btn) => {
       btn.addEventListener("click", () => setActiveFeed(btn.dataset.feed));
     });
 
@@ -1399,6 +5220,12 @@
         return;
       }
 
+      if (e.key === "h") {
+        e.preventDefault();
+        highlightSelection();
+        return;
+      }
+
       if (e.key === "u") {
         e.preventDefault();
         const unreadBtn = $("nrUnreadToggle");
@@ -1439,9 +5266,7 @@
       const filtered = getFilteredArticles();
       if (!filtered.length) return;
 
-      const currentIdx = selectedArticle
-        ? filtered.findIndex((a) => a.link === selectedArticle.link)
-        : -1;
+      const currentIdx = filtered.findIndex(isSelectedCard);
 
       if (e.key === "j" || e.key === "ArrowDown") {
         e.preventDefault();
@@ -1454,9 +5279,8 @@
         selectArticle(filtered[prev]);
         scrollArticleIntoView(prev);
       } else if (e.key === "o" || e.key === "Enter") {
-        if (selectedArticle && selectedArticle.link) {
-          window.open(selectedArticle.link, "_blank");
-        }
+        const href = selectedArticle ? articleHref(selectedArticle.link) : "";
+        if (href) window.open(href, "_blank", "noopener");
       } else if (e.key === "s") {
         if (bookmarkBtn) bookmarkBtn.click();
       } else if (e.key === "r") {
@@ -1469,22 +5293,62 @@
     });
   }
 
+  // Cards outside the window aren't in the DOM, so scroll by row offset
   function scrollArticleIntoView(idx) {
     const container = $("nrArticles");
-    if (!container) return;
-    const cards = container.querySelectorAll(".nr-article-card");
-    if (cards[idx]) {
-      cards[idx].scrollIntoView({ block: "nearest", behavior: "smooth" });
-    }
+    if (!container || !listArticles[idx]) return;
+    const row = Math.floor(idx / listColumns);
+    const padding = parseFloat(getComputedStyle(container).paddingTop) || 0;
+    const top = rowOffsets[row] + padding;
+    const bottom = rowOffsets[row + 1] + padding;
+    const viewport = container.clientHeight;
+
+    let target = null;
+    if (top < container.scrollTop) target = top;
+    else if (bottom > container.scrollTop + viewport) target = bottom - viewport;
+    if (target === null) return;
+    if (container.scrollTo) container.scrollTo({ top: target, behavior: "smooth" });
+    else container.scrollTop = target;
   }
 
   // ── Auto-refresh ──
+  // Each feed refreshes on its own interval (`feed.refreshMinutes`, falling
+  // back to the global setting; 0 means manual only). A one-minute tick
+  // fetches whichever feeds are due.
+  const FEED_REFRESH_CHOICES = [
+    ["", "Default"],
+    ["5", "5 min"],
+    ["15", "15 min"],
+    ["30", "30 min"],
+    ["60", "1 hour"],
+    ["180", "3 hours"],
+    ["720", "12 hours"],
+    ["0", "Manual"],
+  ];
+
+  function feedRefreshMinutes(feed) {
+    return Number.isFinite(feed.refreshMinutes) ? feed.refreshMinutes : parseInt(load("autoRefresh", "5"));
+  }
+
+  function getDueFeeds() {
+    const now = Date.now();
+    return feeds.filter((f) => {
+      const mins = feedRefreshMinutes(f);
+      if (!(mins > 0)) return false;
+      const h = feedHealth[f.id];
+      // Allow a little slack so a feed isn't skipped by a tick landing early
+      return !h || !h.lastAttempt || now - h.lastAttempt >= mins * 60000 - 5000;
+    });
+  }
+
+  function refreshDueFeeds() {
+    const due = getDueFeeds();
+    if (due.length) refreshFeeds(due, true);
+  }
+
   function setupAutoRefresh() {
     if (autoRefreshTimer) clearInterval(autoRefreshTimer);
-    const mins = parseInt(load("autoRefresh", "5"));
-    if (mins > 0) {
-      autoRefreshTimer = setInterval(refreshAllFeeds, mins * 60 * 1000);
-    }
+    autoRefreshTimer = setInterval(refreshDueFeeds, 60 * 1000);
   }
 
   // ── Init ──
@@ -1497,11 +5361,31 @@
     initMarkAllRead();
     initSettings();
     initAddFeedModal();
+    initImportModal();
+    initHighlights();
+    initImagePlaceholders();
+    initMediaPlayer();
+    initReadingViewToggle();
+    initRuleModal();
+    initNewArticlesPill();
+    initRefreshProgress();
+    initArticleList();
     initEvents();
     renderSidebar();
+    renderTagList();
+    renderSearchList();
+    indexArticles(savedArticles);
+    loadReadState().then(() => {
+      renderArticles();
+      updateCounts();
+    });
+    loadCachedArticles();
     refreshAllFeeds();
     setupAutoRefresh();
   }
 
   window.addEventListener("DOMContentLoaded", init);
+
+  // The scripts in tests/ load this file under Node; browsers skip this
+  if (typeof module === "object" && module.exports) module.exports = { sanitizeHtml, safeUrl, findClusters };
 })();
@@ -0,0 +1,74 @@
+// Checks duplicate grouping (findClusters in static/news.js):
+//
+//   npm install --no-save jsdom
+//   node tests/clusters.test.js
+
+const { loadNews } = require("./load-news");
+
+const day = (n) => new Date(Date.UTC(2026, 9, n));
+const article = (feedId, title, link, date = day(1)) => ({ feedId, title, link, parsedDate: date });
+
+const cases = [
+  {
+    name: "same story from two feeds is grouped",
+    list: [
+      article("hn", "Rust 2.0 released with a new borrow checker", "https://blog.example/rust-2"),
+      article("lobsters", "Rust 2.0 released with new borrow checker", "https://mirror.example/rust-2", day(2)),
+    ],
+    groups: [["https://blog.example/rust-2", "https://mirror.example/rust-2"]],
+  },
+  {
+    name: "similar titles from one feed stay separate",
+    list: [
+      article("hn", "Ask HN: Who is hiring? (October 2026)", "https://news.ycombinator.com/item?id=1"),
+      article("hn", "Ask HN: Who wants to be hired? (October 2026)", "https://news.ycombinator.com/item?id=2"),
+    ],
+    groups: [],
+  },
+  {
+    name: "same link from one feed is still grouped",
+    list: [
+      article("hn", "A story", "https://blog.example/story?utm_source=hn"),
+      article("hn", "A story (updated)", "https://www.blog.example/story"),
+    ],
+    groups: [["https://blog.example/story?utm_source=hn", "https://www.blog.example/story"]],
+  },
+  {
+    name: "similar titles far apart in time stay separate",
+    list: [
+      article("hn", "Annual developer survey results are out", "https://a.example/1", day(1)),
+      article("lobsters", "Annual developer survey results are out", "https://b.example/1", day(20)),
+    ],
+    groups: [],
+  },
+  {
+    name: "articles without a link are never grouped",
+    list: [
+      article("a", "Untitled update from the newsroom", ""),
+      article("b", "Untitled update from the newsroom", ""),
+    ],
+    groups: [],
+  },
+];
+
+async function main() {
+  const { findClusters } = await loadNews();
+  let failures = 0;
+  for (const { name, list, groups } of cases) {
+    const clusters = findClusters(list);
+    const found = [...new Set(clusters.values())].map((c) => c.members.map((a) => a.link).sort());
+    if (JSON.stringify(found) === JSON.stringify(groups)) {
+      console.log(`ok - ${name}`);
+    } else {
+      failures++;
+      console.log(`not ok - ${name}\n    expected ${JSON.stringify(groups)}\n    got      ${JSON.stringify(found)}`);
+    }
+  }
+  console.log(`\n${cases.length - failures}/${cases.length} cases passed`);
+  process.exit(failures ? 1 : 0);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,31 @@
+// Loads static/news.js into a jsdom window without starting the app and
+// returns the functions it exports for tests, plus the window itself.
+// jsdom is not a dependency of the app: npm install --no-save jsdom
+
+const fs = require("fs");
+const path = require("path");
+
+let JSDOM;
+try {
+  ({ JSDOM } = require("jsdom"));
+} catch {
+  console.error("jsdom is required: npm install --no-save jsdom");
+  process.exit(2);
+}
+
+async function loadNews() {
+  const dom = new JSDOM("<!doctype html><html><body></body></html>", {
+    url: "http://localhost:5001/",
+    runScripts: "dangerously",
+  });
+  const { window } = dom;
+  // Wait out DOMContentLoaded so news.js never runs init()
+  await new Promise((resolve) => window.addEventListener("load", resolve));
+  window.alerts = [];
+  window.alert = (msg) => window.alerts.push(msg);
+  window.module = { exports: {} };
+  window.eval(fs.readFileSync(path.join(__dirname, "..", "static", "news.js"), "utf8"));
+  return { window, ...window.module.exports };
+}
+
+module.exports = { loadNews };
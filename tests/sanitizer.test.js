@@ -0,0 +1,92 @@
+// Runs every payload in tests/xss-payloads.js through the sanitizer in
+// static/news.js and checks that what comes out is inert:
+//
+//   npm install --no-save jsdom
+//   node tests/sanitizer.test.js
+//
+// jsdom parses with the same HTML spec algorithm as browsers, so namespace
+// and mutation (mXSS) tricks behave as they would in the reading pane.
+
+const { loadNews } = require("./load-news");
+const payloads = require("./xss-payloads");
+
+const BASE_URL = "https://news.example/2026/article";
+const FORBIDDEN_TAGS = new Set([
+  "script", "style", "iframe", "frame", "frameset", "object", "embed", "applet",
+  "form", "input", "button", "textarea", "select", "meta", "link", "base",
+  "template", "noscript", "title", "svg", "math", "marquee",
+]);
+const FORBIDDEN_ATTRS = new Set([
+  "style", "srcdoc", "srcset", "action", "formaction", "xlink:href", "background",
+  "http-equiv", "content", "data", "id", "name", "autofocus",
+]);
+const URL_ATTRS = new Set(["href", "src", "cite"]);
+const SAFE_SCHEMES = new Set(["http:", "https:", "mailto:"]);
+const SAFE_DATA_IMAGE = /^data:image\/(png|gif|jpe?g|webp|avif)[;,]/i;
+
+function inertnessProblems(window, html) {
+  const problems = [];
+  const container = window.document.createElement("div");
+  container.innerHTML = html;
+  for (const el of container.querySelectorAll("*")) {
+    if (el.namespaceURI !== "http://www.w3.org/1999/xhtml") problems.push(`foreign element <${el.localName}>`);
+    if (FORBIDDEN_TAGS.has(el.localName)) problems.push(`<${el.localName}> survived`);
+    for (const attr of el.attributes) {
+      if (/^on/i.test(attr.name) || FORBIDDEN_ATTRS.has(attr.name)) {
+        problems.push(`${attr.name}= on <${el.localName}>`);
+      } else if (URL_ATTRS.has(attr.name)) {
+        const url = new window.URL(attr.value, BASE_URL);
+        const dataImage = attr.name === "src" && SAFE_DATA_IMAGE.test(url.href);
+        if (!SAFE_SCHEMES.has(url.protocol) && !dataImage) problems.push(`${attr.name}="${attr.value}"`);
+      }
+    }
+  }
+  return problems;
+}
+
+async function main() {
+  const { window, sanitizeHtml } = await loadNews();
+  if (typeof sanitizeHtml !== "function") throw new Error("news.js did not export sanitizeHtml");
+
+  let failures = 0;
+  for (const { name, html, keep = [] } of payloads) {
+    const problems = [];
+    const out = sanitizeHtml(html, BASE_URL);
+
+    problems.push(...inertnessProblems(window, out));
+    keep.forEach((fragment) => out.includes(fragment) || problems.push(`lost ${fragment}`));
+
+    // mXSS: the markup must not change meaning when the page re-parses it
+    const reparsed = window.document.createElement("div");
+    reparsed.innerHTML = out;
+    if (reparsed.innerHTML !== out) problems.push("changes when re-parsed");
+    if (sanitizeHtml(out, BASE_URL) !== out) problems.push("changes when sanitized again");
+
+    // Nothing may run, either while parsing or once it's in the page
+    const host = window.document.createElement("div");
+    host.innerHTML = out;
+    window.document.body.appendChild(host);
+    for (const el of [host, ...host.querySelectorAll("*")]) {
+      for (const type of ["load", "error", "click", "focus", "toggle", "mouseover"]) {
+        el.dispatchEvent(new window.Event(type));
+      }
+    }
+    host.remove();
+    if (window.alerts.length) problems.push(`ran script (${window.alerts.splice(0).join(", ")})`);
+
+    if (problems.length) {
+      failures++;
+      console.log(`not ok - ${name}\n    in:  ${html}\n    out: ${out}\n    ${problems.join("\n    ")}`);
+    } else {
+      console.log(`ok - ${name}`);
+    }
+  }
+
+  console.log(`\n${payloads.length - failures}/${payloads.length} payloads inert`);
+  process.exit(failures ? 1 : 0);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,109 @@
+// Known XSS payloads for the HTML sanitizer in static/news.js.
+// Every entry must come out inert (see tests/sanitizer.test.js); `keep` lists
+// text or markup that must survive, so the sanitizer isn't just dropping
+// everything it sees.
+
+module.exports = [
+  // ── javascript: URLs ──
+  { name: "javascript: link", html: '<a href="javascript:alert(1)">x</a>', keep: [">x</a>"] },
+  { name: "javascript: mixed case", html: '<a href="JaVaScRiPt:alert(1)">x</a>' },
+  { name: "javascript: hex entity", html: '<a href="jav&#x61;script:alert(1)">x</a>' },
+  { name: "javascript: decimal entities", html: '<a href="&#106;&#97;&#118;&#97;&#115;&#99;&#114;&#105;&#112;&#116;&#58;alert(1)">x</a>' },
+  { name: "javascript: padded entities", html: '<a href="&#0000106&#0000097&#0000118&#0000097&#0000115&#0000099&#0000114&#0000105&#0000112&#0000116&#0000058alert(1)">x</a>' },
+  { name: "javascript: named entity colon", html: '<a href="javascript&colon;alert(1)">x</a>' },
+  { name: "javascript: tab inside scheme", html: '<a href="java\tscript:alert(1)">x</a>' },
+  { name: "javascript: encoded tab", html: '<a href="jav&#x09;ascript:alert(1)">x</a>' },
+  { name: "javascript: encoded newline", html: '<a href="jav&#x0A;ascript:alert(1)">x</a>' },
+  { name: "javascript: leading whitespace", html: '<a href=" \n\t javascript:alert(1)">x</a>' },
+  { name: "javascript: leading control char", html: '<a href="&#x01;javascript:alert(1)">x</a>' },
+  { name: "vbscript: link", html: '<a href="vbscript:msgbox(1)">x</a>' },
+  { name: "javascript: image", html: '<img src="javascript:alert(1)">' },
+  { name: "javascript: blockquote cite", html: '<blockquote cite="javascript:alert(1)">q</blockquote>', keep: ["q</blockquote>"] },
+  { name: "javascript: in srcset", html: '<img src="https://img.example/a.png" srcset="javascript:alert(1) 1x">', keep: ['src="https://img.example/a.png"'] },
+
+  // ── Event handlers ──
+  { name: "img onerror", html: "<img src=x onerror=alert(1)>" },
+  { name: "img onerror with valid src", html: '<img src="https://img.example/a.png" onerror="alert(1)">' },
+  { name: "onclick on allowed link", html: '<a href="https://ok.example/" onclick="alert(1)">ok</a>', keep: ['href="https://ok.example/"'] },
+  { name: "details ontoggle", html: "<details open ontoggle=alert(1)><summary>s</summary></details>", keep: ["<summary>s</summary>"] },
+  { name: "unknown tag with handler", html: "<x onclick=alert(1)>text</x>", keep: ["text"] },
+  { name: "body onload", html: "<body onload=alert(1)><p>x</p></body>", keep: ["<p>x</p>"] },
+  { name: "marquee onstart", html: "<marquee onstart=alert(1)>m</marquee>" },
+
+  // ── Script containers ──
+  { name: "script tag", html: "<script>alert(1)</script><p>after</p>", keep: ["<p>after</p>"] },
+  { name: "split script tag", html: "<scr<script>ipt>alert(1)</script>" },
+  { name: "template script", html: "<template><script>alert(1)</script></template>" },
+  { name: "noscript breakout", html: '<noscript><p title="</noscript><img src=x onerror=alert(1)>"></noscript>' },
+  { name: "textarea breakout", html: "<textarea><img src=x onerror=alert(1)></textarea>" },
+  { name: "title breakout", html: "<title><img src=x onerror=alert(1)></title>" },
+  { name: "comment with markup", html: "<!--<img src=x onerror=alert(1)>-->" },
+  { name: "comment breakout", html: "<!--><img src=x onerror=alert(1)>-->" },
+  { name: "cdata in html", html: "<![CDATA[<img src=x onerror=alert(1)>]]>" },
+
+  // ── SVG and MathML ──
+  { name: "svg script", html: "<svg><script>alert(1)</script></svg>" },
+  { name: "svg onload", html: "<svg onload=alert(1)></svg>" },
+  { name: "svg xlink:href", html: '<svg><a xlink:href="javascript:alert(1)"><text x="0" y="10">x</text></a></svg>' },
+  { name: "svg animate", html: '<svg><animate onbegin=alert(1) attributeName=x dur=1s></svg>' },
+  { name: "svg set href", html: '<svg><a><set attributeName="href" to="javascript:alert(1)"/><text>x</text></a></svg>' },
+  { name: "svg foreignObject", html: "<svg><foreignObject><img src=x onerror=alert(1)></foreignObject></svg>" },
+  { name: "math href", html: '<math href="javascript:alert(1)"><mi>x</mi></math>' },
+
+  // ── Mutation XSS ──
+  {
+    name: "mglyph style mXSS",
+    html: "<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>",
+  },
+  {
+    name: "mglyph style comment mXSS",
+    html: '<math><mtext><table><mglyph><style><!--</style><img title="--&gt;&lt;/mglyph&gt;&lt;img&Tab;src=1&Tab;onerror=alert(1)&gt;">',
+  },
+  {
+    name: "form namespace confusion mXSS",
+    html: "<form><math><mtext></form><form><mglyph><style></math><img src onerror=alert(1)>",
+  },
+  {
+    name: "svg style mXSS",
+    html: '<svg></p><style><a id="</style><img src=1 onerror=alert(1)>">',
+  },
+  {
+    name: "table style hoisting",
+    html: "<table><td><style></style><img src=x onerror=alert(1)></td></table>",
+  },
+  {
+    name: "attribute quote breakout",
+    html: '<a title="&quot;><img src=x onerror=alert(1)>">x</a>',
+    keep: ["x</a>"],
+  },
+
+  // ── Frames, forms and document-level tags ──
+  { name: "iframe srcdoc", html: '<iframe srcdoc="<script>alert(1)</script>"></iframe>' },
+  { name: "iframe javascript src", html: '<iframe src="javascript:alert(1)"></iframe>' },
+  { name: "object data", html: '<object data="data:text/html,<script>alert(1)</script>"></object>' },
+  { name: "embed src", html: '<embed src="data:text/html,<script>alert(1)</script>">' },
+  { name: "form action", html: '<form action="javascript:alert(1)"><input type="submit"></form>' },
+  { name: "button formaction", html: '<button formaction="javascript:alert(1)">go</button>' },
+  { name: "input autofocus onfocus", html: "<input autofocus onfocus=alert(1)>" },
+  { name: "meta refresh", html: '<meta http-equiv="refresh" content="0;url=javascript:alert(1)">' },
+  { name: "base href", html: '<base href="javascript:alert(1)//"><a href="x">x</a>' },
+  { name: "link stylesheet", html: '<link rel="stylesheet" href="https://evil.example/x.css">' },
+
+  // ── CSS ──
+  { name: "style attribute url", html: '<p style="background:url(javascript:alert(1))">x</p>', keep: ["<p>x</p>"] },
+  { name: "style attribute expression", html: '<div style="width:expression(alert(1))">x</div>' },
+  { name: "style attribute behavior", html: '<div style="behavior:url(https://evil.example/x.htc)">x</div>' },
+  { name: "style element import", html: "<style>@import 'https://evil.example/x.css';</style><p>x</p>", keep: ["<p>x</p>"] },
+  { name: "style element overlay", html: "<style>body{display:none}</style>" },
+  { name: "background attribute", html: '<table background="javascript:alert(1)"><tbody><tr><td>x</td></tr></tbody></table>' },
+
+  // ── data: URLs ──
+  { name: "data:text/html link", html: '<a href="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">x</a>' },
+  { name: "data:text/html image", html: '<img src="data:text/html,<script>alert(1)</script>">' },
+  { name: "data:image/svg+xml image", html: '<img src="data:image/svg+xml,<svg onload=alert(1)>">' },
+  { name: "data:image/png image is kept", html: '<img src="data:image/png;base64,iVBORw0KGgo=">', keep: ['src="data:image/png;base64,iVBORw0KGgo="'] },
+
+  // ── DOM clobbering ──
+  { name: "id clobbering", html: '<img id="nrReadingBody" name="getElementById" src="https://img.example/a.png">' },
+  { name: "form name clobbering", html: '<form name="cookie"><img name="body"></form>' },
+];